@@ -1,5 +1,4 @@
 "use strict";
-/// <reference types="@figma/plugin-typings" />
 var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
     function adopt(value) { return value instanceof P ? value : new P(function (resolve) { resolve(value); }); }
     return new (P || (P = Promise))(function (resolve, reject) {
@@ -9,6 +8,681 @@ var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, ge
         step((generator = generator.apply(thisArg, _arguments || [])).next());
     });
 };
+var __rest = (this && this.__rest) || function (s, e) {
+    var t = {};
+    for (var p in s) if (Object.prototype.hasOwnProperty.call(s, p) && e.indexOf(p) < 0)
+        t[p] = s[p];
+    if (s != null && typeof Object.getOwnPropertySymbols === "function")
+        for (var i = 0, p = Object.getOwnPropertySymbols(s); i < p.length; i++) {
+            if (e.indexOf(p[i]) < 0 && Object.prototype.propertyIsEnumerable.call(s, p[i]))
+                t[p[i]] = s[p[i]];
+        }
+    return t;
+};
+/// <reference types="@figma/plugin-typings" />
+const STORAGE_VERSION = 2;
+const UNKNOWN_LIBRARY = 'Unknown library';
+const MAPPING_STATUSES = ['draft', 'approved', 'deprecated-no-replacement', 'migrated'];
+const MAPPING_TYPES = ['replace', 'detach', 'remove', 'conditional'];
+// CSV columns, shared by export and import so exported files round-trip
+const CSV_COLUMNS = [
+    { header: 'Old key', read: (m) => m.oldKey, write: (m, v) => { m.oldKey = v; } },
+    { header: 'Old name', read: (m) => m.oldName, write: (m, v) => { m.oldName = v; } },
+    { header: 'Old variants', read: (m) => describeComponent('', m.oldVariantProperties).variants, write: (m, v) => { m.oldVariantProperties = parseVariantProperties(v); } },
+    { header: 'New key', read: (m) => m.newKey, write: (m, v) => { m.newKey = v; } },
+    { header: 'New name', read: (m) => m.newName, write: (m, v) => { m.newName = v; } },
+    { header: 'New variants', read: (m) => describeComponent('', m.newVariantProperties).variants, write: (m, v) => { m.newVariantProperties = parseVariantProperties(v); } },
+    { header: 'Notes', read: (m) => m.notes, write: (m, v) => { m.notes = v; } },
+    { header: 'Status', read: (m) => m.status || 'draft', write: (m, v) => { if (MAPPING_STATUSES.indexOf(v) !== -1)
+            m.status = v; } },
+    { header: 'Tags', read: (m) => (m.tags || []).join(', '), write: (m, v) => { m.tags = parseTags(v); } },
+    { header: 'Type', read: (m) => m.type || 'replace', write: (m, v) => { if (MAPPING_TYPES.indexOf(v) !== -1)
+            m.type = v; } },
+    { header: 'Conditions', read: (m) => (m.conditions || []).length ? JSON.stringify(m.conditions) : '', write: (m, v) => { m.conditions = v ? JSON.parse(v) : []; } },
+    { header: 'Property rules', read: (m) => (m.propertyMap || []).length ? JSON.stringify(m.propertyMap) : '', write: (m, v) => { m.propertyMap = v ? JSON.parse(v) : []; } },
+    { header: 'Layer rules', read: (m) => (m.layerMap || []).length ? JSON.stringify(m.layerMap) : '', write: (m, v) => { m.layerMap = v ? JSON.parse(v) : []; } },
+    // Property definitions drive property carry-over; without them a CSV round trip would lose it
+    { header: 'Old properties', read: (m) => Object.keys(m.oldComponentProperties || {}).length ? JSON.stringify(m.oldComponentProperties) : '', write: (m, v) => { m.oldComponentProperties = v ? JSON.parse(v) : {}; } },
+    { header: 'New properties', read: (m) => Object.keys(m.newComponentProperties || {}).length ? JSON.stringify(m.newComponentProperties) : '', write: (m, v) => { m.newComponentProperties = v ? JSON.parse(v) : {}; } },
+    { header: 'Component set', read: (m) => m.componentSet ? JSON.stringify(m.componentSet) : '', write: (m, v) => { if (v)
+            m.componentSet = JSON.parse(v); } },
+    // Libraries come from the registry and measured differences are measured again after importing, so both are export-only
+    { header: 'Old library', read: (m, registry) => getLibraryNameFromKey(registry, m.oldKey) },
+    { header: 'New library', read: (m, registry) => m.newKey ? getLibraryNameFromKey(registry, m.newKey) : '' },
+    { header: 'Width change', read: (m) => m.diff ? m.diff.widthDelta : '' },
+    { header: 'Height change', read: (m) => m.diff ? m.diff.heightDelta : '' },
+    { header: 'Visual changes', read: (m) => m.diff ? describeDiff(m.diff).join('\n') : '' },
+    { header: 'Risk', read: (m) => m.diff ? m.diff.risk : '' }
+];
+// Keys
+function formatComponentKey(input) {
+    const raw = input.trim();
+    // if URL pasted, extract key param (the plugin sandbox has no URL class, so match it directly)
+    if (raw.startsWith("http")) {
+        const match = raw.match(/[?&]key=([^&#]+)/);
+        return match ? decodeURIComponent(match[1]).trim() : raw;
+    }
+    // if fileKey:componentKey pasted, grab the right side
+    if (raw.includes(":")) {
+        return raw.split(":").pop().trim();
+    }
+    return raw;
+}
+// The file key in "fileKey:componentKey" input or a Figma file URL, if there is one
+function getFileKeyHint(input) {
+    const raw = input.trim();
+    if (raw.startsWith('http')) {
+        const match = raw.match(/\/(?:file|design)\/([A-Za-z0-9]+)/);
+        return match ? match[1] : null;
+    }
+    return raw.includes(':') ? raw.split(':')[0].trim() || null : null;
+}
+function getLibraryId(registry, componentKey) {
+    return registry.components[formatComponentKey(componentKey)] || null;
+}
+// Human-readable library name for a component key, from the library registry
+function getLibraryNameFromKey(registry, componentKey) {
+    const libraryId = getLibraryId(registry, componentKey);
+    if (!libraryId) {
+        return UNKNOWN_LIBRARY;
+    }
+    const library = registry.libraries[libraryId];
+    return library ? library.name : libraryId;
+}
+// Parsing
+// Split a mapping name into a clean name and variant text, accepting legacy "Name|Prop=Val" names
+function describeComponent(name, variantProperties) {
+    const [cleanName, legacyVariants] = name.split('|');
+    const variants = variantProperties
+        ? Object.keys(variantProperties).map((key) => `${key}=${variantProperties[key]}`).join(', ')
+        : legacyVariants || '';
+    return { name: cleanName, variants };
+}
+// Parse "Prop=Val, Prop2=Val2" into a variant properties object
+function parseVariantProperties(text) {
+    const props = {};
+    text.split(',').forEach((pair) => {
+        const [key, value] = pair.split('=');
+        if (key && value !== undefined) {
+            props[key.trim()] = value.trim();
+        }
+    });
+    return Object.keys(props).length ? props : null;
+}
+function parseTags(text) {
+    const tags = text.split(',').map((tag) => tag.trim()).filter((tag) => tag);
+    return tags.filter((tag, index) => tags.indexOf(tag) === index);
+}
+// Fill in defaults and move variant data out of legacy "Name|Prop=Val" names into structured fields
+function normalizeMapping(mapping) {
+    const normalized = Object.assign({ oldKey: '', newKey: '', oldName: '', newName: '', propertyMap: [], layerMap: [], notes: '', status: 'draft', tags: [], type: 'replace', conditions: [] }, mapping);
+    for (const side of ['old', 'new']) {
+        const name = normalized[`${side}Name`] || '';
+        if (name.includes('|')) {
+            const [cleanName, variants] = name.split('|');
+            normalized[`${side}Name`] = cleanName;
+            if (!normalized[`${side}VariantProperties`]) {
+                normalized[`${side}VariantProperties`] = parseVariantProperties(variants);
+            }
+        }
+    }
+    return normalized;
+}
+function createSetId() {
+    return `set-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+// Wrap a single list of mappings (schema version 1 and older) in a default set
+function createDefaultStore(mappings, timestamp) {
+    const set = { id: createSetId(), name: 'Default', mappings, timestamp };
+    return { version: STORAGE_VERSION, activeSetId: set.id, sets: [set] };
+}
+// Bring any saved shape up to the current schema
+function migrateStoredMappings(saved) {
+    if (!saved) {
+        return null;
+    }
+    // Oldest format: a bare array of mappings without a timestamp
+    if (Array.isArray(saved)) {
+        return createDefaultStore(saved, Date.now() - (7 * 24 * 60 * 60 * 1000)); // 7 days ago
+    }
+    const data = saved;
+    // Version 2: named mapping sets
+    if (Array.isArray(data.sets) && data.sets.length > 0) {
+        const activeSetId = data.sets.some((set) => set.id === data.activeSetId) ? data.activeSetId : data.sets[0].id;
+        return { version: STORAGE_VERSION, activeSetId, sets: data.sets };
+    }
+    // Version 1 and unversioned clientStorage data: { mappings, timestamp }
+    if (Array.isArray(data.mappings)) {
+        return createDefaultStore(data.mappings, data.timestamp || 0);
+    }
+    return null;
+}
+// Grouping
+// Group mappings into guide sections; component set mappings become one variant matrix per set pair
+function groupMappings(mappings, groupBy, registry) {
+    const sections = new Map();
+    for (const mapping of mappings) {
+        const type = mapping.type || 'replace';
+        let key;
+        let title;
+        if (type === 'detach' || type === 'remove') {
+            key = 'no-replacement';
+            title = 'No replacement';
+        }
+        else if (groupBy === 'library') {
+            const newLibrary = mapping.newKey ? getLibraryNameFromKey(registry, mapping.newKey) : UNKNOWN_LIBRARY;
+            title = `${getLibraryNameFromKey(registry, mapping.oldKey)} → ${newLibrary}`;
+            key = `library:${title}`;
+        }
+        else if (type === 'conditional') {
+            key = `conditional:${mapping.oldKey}`;
+            title = `${describeComponent(mapping.oldName || 'Component').name} (conditional)`;
+        }
+        else if (mapping.componentSet) {
+            key = `component:${mapping.componentSet.newSetKey}`;
+            title = mapping.componentSet.newSetName;
+        }
+        else {
+            key = `component:${mapping.newKey}`;
+            title = describeComponent(mapping.newName || 'Component').name;
+        }
+        let section = sections.get(key);
+        if (!section) {
+            section = { key, title, rows: [], matrices: [] };
+            sections.set(key, section);
+        }
+        const componentSet = mapping.componentSet;
+        if (componentSet && type === 'replace') {
+            let matrix = section.matrices.find((m) => m.componentSet.oldSetKey === componentSet.oldSetKey && m.componentSet.newSetKey === componentSet.newSetKey);
+            if (!matrix) {
+                matrix = { componentSet, mappings: [] };
+                section.matrices.push(matrix);
+            }
+            matrix.mappings.push(mapping);
+        }
+        else {
+            section.rows.push(mapping);
+        }
+    }
+    return Array.from(sections.values());
+}
+// Duplicates and conflicts
+// Dry run: classify imported rows against the current set before changing anything
+function classifyImport(existing, imported) {
+    const current = new Map();
+    existing.forEach((m) => current.set(m.oldKey, m.newKey));
+    // Only the first row for an old key can be added, so a set never ends up with two mappings for one key
+    const earlier = new Map();
+    return imported.map((mapping) => {
+        let status = 'new';
+        if (earlier.has(mapping.oldKey)) {
+            status = earlier.get(mapping.oldKey) === mapping.newKey ? 'duplicate' : 'repeated';
+        }
+        else {
+            earlier.set(mapping.oldKey, mapping.newKey);
+            if (current.has(mapping.oldKey)) {
+                status = current.get(mapping.oldKey) === mapping.newKey ? 'duplicate' : 'conflict';
+            }
+        }
+        return { mapping, status };
+    });
+}
+// Old keys the mapping's instances can end up as: its new key and any conditional targets
+function getTargetKeys(mapping) {
+    return [mapping.newKey, ...(mapping.conditions || []).map((condition) => condition.newKey)].filter((key) => key);
+}
+function isPlainReplacement(mapping) {
+    return (mapping.type || 'replace') === 'replace' && !!mapping.newKey;
+}
+// Check the whole set for cycles, chains, replacements that are mapped away themselves and replacements
+// still in a deprecated library
+function validateMappings(mappings, registry) {
+    const issues = [];
+    const byOldKey = new Map();
+    mappings.forEach((mapping) => {
+        if (!byOldKey.has(mapping.oldKey))
+            byOldKey.set(mapping.oldKey, mapping);
+    });
+    const nameOf = (key) => {
+        const mapping = byOldKey.get(key);
+        return mapping ? describeComponent(mapping.oldName || key).name : key;
+    };
+    const addIssue = (issue) => {
+        issues.push(Object.assign({ id: `${issue.kind}:${issue.oldKeys.join(',')}` }, issue));
+    };
+    // Cycles: walk the replacements depth first; reaching a key that's still on the path closes a cycle
+    const inCycle = new Set();
+    const visited = new Set();
+    const path = [];
+    const visit = (key) => {
+        visited.add(key);
+        path.push(key);
+        for (const target of getTargetKeys(byOldKey.get(key))) {
+            if (!byOldKey.has(target))
+                continue;
+            const onPath = path.indexOf(target);
+            if (onPath !== -1) {
+                const cycle = path.slice(onPath);
+                cycle.forEach((cycleKey) => inCycle.add(cycleKey));
+                addIssue({
+                    kind: 'cycle',
+                    oldKeys: cycle,
+                    message: `Cycle: ${cycle.concat(target).map(nameOf).join(' → ')}`
+                });
+            }
+            else if (!visited.has(target)) {
+                visit(target);
+            }
+        }
+        path.pop();
+    };
+    byOldKey.forEach((_mapping, key) => {
+        if (!visited.has(key))
+            visit(key);
+    });
+    // Chains and replacements that are old keys themselves
+    byOldKey.forEach((mapping) => {
+        if (inCycle.has(mapping.oldKey))
+            return;
+        for (const target of getTargetKeys(mapping)) {
+            const next = byOldKey.get(target);
+            if (!next)
+                continue;
+            if (target === mapping.newKey && isPlainReplacement(mapping) && isPlainReplacement(next) && !inCycle.has(target)) {
+                // Follow the chain to its end: A → B → C → D collapses to A → D
+                let end = next;
+                const chain = [mapping.oldKey, next.oldKey];
+                while (byOldKey.has(end.newKey) && isPlainReplacement(byOldKey.get(end.newKey)) && chain.indexOf(end.newKey) === -1) {
+                    end = byOldKey.get(end.newKey);
+                    chain.push(end.oldKey);
+                }
+                addIssue({
+                    kind: 'chain',
+                    oldKeys: chain,
+                    message: `Chain: ${chain.map(nameOf).join(' → ')} → ${describeComponent(end.newName || end.newKey).name}`,
+                    collapse: {
+                        oldKey: mapping.oldKey,
+                        newKey: end.newKey,
+                        newName: end.newName,
+                        newVariantProperties: end.newVariantProperties,
+                        newComponentProperties: end.newComponentProperties,
+                        newKeyStatus: end.newKeyStatus
+                    }
+                });
+            }
+            else {
+                const reason = inCycle.has(target) ? 'is part of a cycle' : `is mapped itself (${next.type || 'replace'})`;
+                addIssue({
+                    kind: 'old-key-as-target',
+                    oldKeys: [mapping.oldKey, target],
+                    message: `${nameOf(mapping.oldKey)} is replaced by ${nameOf(target)}, which ${reason}`
+                });
+            }
+        }
+    });
+    // Replacements in a library that old components come from, unless the whole set stays within its libraries
+    const deprecatedLibraries = new Set(mappings.map((mapping) => getLibraryId(registry, mapping.oldKey)).filter((id) => id));
+    const targets = mappings.reduce((keys, mapping) => keys.concat(getTargetKeys(mapping)), []);
+    const leavesDeprecated = targets.some((key) => {
+        const libraryId = getLibraryId(registry, key);
+        return libraryId && !deprecatedLibraries.has(libraryId);
+    });
+    if (leavesDeprecated) {
+        byOldKey.forEach((mapping) => {
+            for (const target of getTargetKeys(mapping)) {
+                const libraryId = getLibraryId(registry, target);
+                if (!libraryId || !deprecatedLibraries.has(libraryId) || byOldKey.has(target))
+                    continue;
+                const targetName = target === mapping.newKey ? mapping.newName : (mapping.conditions || []).filter((c) => c.newKey === target)[0].newName;
+                addIssue({
+                    kind: 'deprecated-target',
+                    oldKeys: [mapping.oldKey],
+                    message: `${nameOf(mapping.oldKey)} is replaced by ${describeComponent(targetName || target).name}, which is still in ${getLibraryNameFromKey(registry, target)}`
+                });
+            }
+        });
+    }
+    return issues;
+}
+// Classify incoming mappings (from an import or from mapping on the canvas) and list the issues they'd add to the set
+function reviewMappings(existing, incoming, registry) {
+    const rows = classifyImport(existing, incoming);
+    // Check the set both ways it can turn out: with only the new rows added, and with conflicts replaced too
+    const mergeWith = (statuses) => {
+        const added = rows.filter((row) => statuses.indexOf(row.status) !== -1).map((row) => row.mapping);
+        const replacedKeys = new Set(added.map((mapping) => mapping.oldKey));
+        return existing.filter((mapping) => !replacedKeys.has(mapping.oldKey)).concat(added);
+    };
+    const seen = new Set(validateMappings(existing, registry).map((issue) => issue.id));
+    const issues = [];
+    for (const merged of [mergeWith(['new']), mergeWith(['new', 'conflict'])]) {
+        for (const issue of validateMappings(merged, registry)) {
+            if (!seen.has(issue.id)) {
+                seen.add(issue.id);
+                issues.push(issue);
+            }
+        }
+    }
+    return { rows, issues };
+}
+// Import
+const isRecord = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const hasStrings = (value, keys) => isRecord(value) && keys.every((key) => typeof value[key] === 'string');
+const isListOf = (value, check) => Array.isArray(value) && value.every(check);
+// Imported fields that hold lists or objects, labeled with their CSV column. The rest of the plugin relies on their shape
+const STRUCTURED_FIELDS = [
+    { field: 'tags', label: 'Tags', valid: (v) => isListOf(v, (tag) => typeof tag === 'string') },
+    { field: 'conditions', label: 'Conditions', valid: (v) => isListOf(v, (c) => hasStrings(c, ['property', 'value', 'newKey'])) },
+    { field: 'propertyMap', label: 'Property rules', valid: (v) => isListOf(v, (rule) => hasStrings(rule, ['fromName', 'toName'])) },
+    { field: 'layerMap', label: 'Layer rules', valid: (v) => isListOf(v, (rule) => hasStrings(rule, ['fromPath', 'toPath'])) },
+    { field: 'oldVariantProperties', label: 'Old variants', valid: (v) => v === null || isRecord(v) },
+    { field: 'newVariantProperties', label: 'New variants', valid: (v) => v === null || isRecord(v) },
+    { field: 'oldComponentProperties', label: 'Old properties', valid: isRecord },
+    { field: 'newComponentProperties', label: 'New properties', valid: isRecord },
+    { field: 'componentSet', label: 'Component set', valid: (v) => hasStrings(v, ['oldSetKey', 'oldSetName', 'newSetKey', 'newSetName']) }
+];
+// Drop structured fields of the wrong shape (a Conditions cell of `5`, JSON tags given as a string), calling warn with each label
+function dropMalformedFields(fields, warn) {
+    for (const { field, label, valid } of STRUCTURED_FIELDS) {
+        if (fields[field] !== undefined && !valid(fields[field])) {
+            delete fields[field];
+            warn(label);
+        }
+    }
+}
+// Create a mapping from imported fields, filling in anything the file didn't have
+function createImportedMapping(fields, libraryHints) {
+    const oldInput = String(fields.oldKey || '');
+    const newInput = String(fields.newKey || '');
+    [oldInput, newInput].filter((input) => getFileKeyHint(input)).forEach((input) => libraryHints.push(input.trim()));
+    const mapping = normalizeMapping(Object.assign(Object.assign({ notes: '', oldVariantProperties: null, newVariantProperties: null, oldComponentProperties: {}, newComponentProperties: {} }, fields), { oldKey: formatComponentKey(oldInput), newKey: formatComponentKey(newInput), oldKeyStatus: 'pending', newKeyStatus: 'pending' }));
+    // Library names in JSON exports are looked up from the registry, not stored on mappings
+    delete mapping.oldLibrary;
+    delete mapping.newLibrary;
+    mapping.oldName = mapping.oldName || `Imported (${mapping.oldKey.substring(0, 8)}...)`;
+    if (mapping.newKey) {
+        mapping.newName = mapping.newName || `Imported (${mapping.newKey.substring(0, 8)}...)`;
+    }
+    return mapping;
+}
+// Parse an exported (or hand-written) CSV or JSON file
+function parseImport(content, fileName) {
+    const isJSON = fileName.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(content);
+    return isJSON ? parseImportJSON(content) : parseImportCSV(content);
+}
+function parseImportJSON(content) {
+    try {
+        const data = JSON.parse(content);
+        const rows = Array.isArray(data) ? data : data.mappings;
+        if (!Array.isArray(rows)) {
+            return { error: 'JSON file has no mappings list' };
+        }
+        const libraryHints = [];
+        const warnings = [];
+        const mappings = [];
+        rows.forEach((row, index) => {
+            if (!row || !row.oldKey || !(row.newKey || (row.type && row.type !== 'replace')))
+                return;
+            const fields = Object.assign({}, row);
+            dropMalformedFields(fields, (label) => warnings.push(`Mapping ${index + 1}: ignored malformed "${label}" value`));
+            mappings.push(createImportedMapping(fields, libraryHints));
+        });
+        return {
+            mappings,
+            skipped: rows.length - mappings.length,
+            libraryHints,
+            warnings
+        };
+    }
+    catch (error) {
+        console.error('Error parsing JSON:', error);
+        return { error: 'Failed to parse JSON file. Please check the format.' };
+    }
+}
+function parseImportCSV(csvContent) {
+    try {
+        const rows = parseCSV(csvContent).filter((row) => row.some((cell) => cell.trim()));
+        if (rows.length === 0) {
+            return { error: 'CSV file is empty' };
+        }
+        const header = rows[0].map((cell) => cell.trim().toLowerCase());
+        const importedMappings = [];
+        const libraryHints = [];
+        const warnings = [];
+        let skippedCount = 0;
+        // Add a mapping for each old key in a cell that may list several (comma or newline separated)
+        const addRow = (oldKeysStr, newKey, fields) => {
+            const oldKeys = oldKeysStr.split(/[\n,]/).map((key) => key.trim()).filter((key) => key);
+            // Only plain replacements need a new key
+            const needsNewKey = !fields.type || fields.type === 'replace';
+            if (oldKeys.length === 0 || (needsNewKey && !newKey.trim())) {
+                skippedCount++;
+                return;
+            }
+            oldKeys.forEach((oldKey) => importedMappings.push(createImportedMapping(Object.assign(Object.assign({}, fields), { oldKey, newKey }), libraryHints)));
+        };
+        if (header.includes('old key') && header.includes('new key')) {
+            // Current export format: columns looked up by header
+            rows.slice(1).forEach((row, rowIndex) => {
+                const fields = {};
+                CSV_COLUMNS.forEach((column) => {
+                    const index = header.indexOf(column.header.toLowerCase());
+                    if (column.write && index !== -1 && row[index] !== undefined) {
+                        try {
+                            column.write(fields, row[index].trim());
+                        }
+                        catch (_error) {
+                            // Row numbers count the header row, as spreadsheets show them
+                            warnings.push(`Row ${rowIndex + 2}: ignored unreadable "${column.header}" value`);
+                        }
+                    }
+                });
+                dropMalformedFields(fields, (label) => warnings.push(`Row ${rowIndex + 2}: ignored malformed "${label}" value`));
+                addRow(fields.oldKey || '', fields.newKey || '', fields);
+            });
+        }
+        else if (header.includes('old components') && header.includes('new')) {
+            // Earlier export format: Old components,New,Notes
+            const oldIndex = header.indexOf('old components');
+            const newIndex = header.indexOf('new');
+            const notesIndex = header.indexOf('notes');
+            rows.slice(1).forEach((row) => {
+                addRow(row[oldIndex] || '', row[newIndex] || '', { notes: notesIndex !== -1 ? (row[notesIndex] || '').trim() : '' });
+            });
+        }
+        else {
+            // Component Name, Key(s), Replace with Key - with or without a header row
+            const hasHeader = header.some((cell) => cell.includes('component name')) && header.some((cell) => cell.includes('replace with key'));
+            rows.slice(hasHeader ? 1 : 0).forEach((row) => {
+                if (row.length < 3) {
+                    skippedCount++;
+                    return;
+                }
+                const componentName = row[0].trim();
+                addRow(row[1], row[2], { oldName: componentName, newName: componentName });
+            });
+        }
+        return { mappings: importedMappings, skipped: skippedCount, libraryHints, warnings };
+    }
+    catch (error) {
+        console.error('Error parsing CSV:', error);
+        return { error: 'Failed to parse CSV file. Please check the format.' };
+    }
+}
+// Parse CSV content into rows of cells, allowing quoted cells to contain commas, quotes and newlines
+function parseCSV(content) {
+    const rows = [];
+    let row = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (char === '"') {
+            if (inQuotes && content[i + 1] === '"') {
+                // Escaped quote
+                current += '"';
+                i++; // Skip next quote
+            }
+            else {
+                // Toggle quote state
+                inQuotes = !inQuotes;
+            }
+        }
+        else if (char === ',' && !inQuotes) {
+            // End of field
+            row.push(current);
+            current = '';
+        }
+        else if ((char === '\n' || char === '\r') && !inQuotes) {
+            // End of row (treat \r\n as one line break)
+            if (char === '\r' && content[i + 1] === '\n')
+                i++;
+            row.push(current);
+            rows.push(row);
+            row = [];
+            current = '';
+        }
+        else {
+            current += char;
+        }
+    }
+    // Add the last field
+    if (current || row.length) {
+        row.push(current);
+        rows.push(row);
+    }
+    return rows;
+}
+// Export
+// Quote a CSV value when it contains commas, quotes or line breaks
+function toCSVField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+function toCSV(headers, rows) {
+    return [headers, ...rows].map((row) => row.map(toCSVField).join(',')).join('\n');
+}
+function getExportFilename(name, extension, date) {
+    const slug = name ? `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-` : '';
+    return `component-migration-${slug}${date.toISOString().split('T')[0]}.${extension}`;
+}
+function serializeMappings(format, mappings, setName, registry, date) {
+    const filename = getExportFilename(setName, format, date);
+    if (format === 'csv') {
+        const rows = mappings.map((m) => CSV_COLUMNS.map((column) => column.read(m, registry)));
+        return { content: toCSV(CSV_COLUMNS.map((column) => column.header), rows), filename, mimeType: 'text/csv;charset=utf-8;' };
+    }
+    const data = {
+        format: 'component-migration',
+        version: 1,
+        setName,
+        exportedAt: date.toISOString(),
+        libraries: registry.libraries,
+        mappings: mappings.map((m) => (Object.assign(Object.assign({}, m), { oldLibrary: getLibraryNameFromKey(registry, m.oldKey), newLibrary: m.newKey ? getLibraryNameFromKey(registry, m.newKey) : '' })))
+    };
+    return { content: JSON.stringify(data, null, 2), filename, mimeType: 'application/json;charset=utf-8;' };
+}
+// Progress
+// Share of legacy instances already swapped: migrated / (migrated + still remaining)
+function getProgressPercent(status) {
+    const total = status.migratedTotal + status.remainingTotal;
+    return total ? Math.round(status.migratedTotal / total * 100) : 100;
+}
+function serializeProgress(format, files, date) {
+    const filename = getExportFilename('progress', format, date);
+    if (format === 'csv') {
+        const headers = ['File', 'File ID', 'Last applied set', 'Last applied', 'Counted set', 'Counted', 'Migrated', 'Remaining', 'Unmapped legacy', 'Done %'];
+        const rows = files.map((file) => [
+            file.fileName,
+            file.fileId,
+            file.appliedSet ? file.appliedSet.name : '',
+            file.appliedAt ? new Date(file.appliedAt).toISOString() : '',
+            file.countedSet ? file.countedSet.name : '',
+            file.countedAt ? new Date(file.countedAt).toISOString() : '',
+            file.migratedTotal,
+            file.remainingTotal,
+            file.unmappedLegacyTotal,
+            getProgressPercent(file)
+        ]);
+        return { content: toCSV(headers, rows), filename, mimeType: 'text/csv;charset=utf-8;' };
+    }
+    const data = {
+        format: 'component-migration-progress',
+        version: 1,
+        exportedAt: date.toISOString(),
+        files: files.map((file) => (Object.assign(Object.assign({}, file), { percentDone: getProgressPercent(file) })))
+    };
+    return { content: JSON.stringify(data, null, 2), filename, mimeType: 'application/json;charset=utf-8;' };
+}
+// Layer paths
+const LAYER_PATH_SEPARATOR = ' > ';
+// Split a layer path, tolerating missing spaces around the separator
+function splitLayerPath(path) {
+    return path.split('>').map((name) => name.trim()).filter((name) => name);
+}
+// Translate an old layer path with the mapping's layer rules. An exact rule wins, then the rule for the
+// closest enclosing group; without one the path is kept as is
+function mapLayerPath(path, rules) {
+    const names = splitLayerPath(path);
+    let best = null;
+    for (const rule of rules) {
+        const from = splitLayerPath(rule.fromPath);
+        if (from.length === 0 || from.length > names.length || (best && best.length >= from.length))
+            continue;
+        if (from.every((name, i) => names[i] === name)) {
+            best = { length: from.length, toPath: rule.toPath };
+        }
+    }
+    if (!best) {
+        return names.join(LAYER_PATH_SEPARATOR);
+    }
+    return splitLayerPath(best.toPath).concat(names.slice(best.length)).join(LAYER_PATH_SEPARATOR);
+}
+// Visual diff
+function describeDiff(diff) {
+    const lines = [];
+    if (diff.widthDelta || diff.heightDelta) {
+        const signed = (value) => value > 0 ? `+${value}` : String(value);
+        lines.push(`Size: ${signed(diff.widthDelta)} × ${signed(diff.heightDelta)} px`);
+    }
+    lines.push(...diff.changes);
+    if (diff.removedProperties.length) {
+        lines.push(`Properties removed: ${diff.removedProperties.join(', ')}`);
+    }
+    if (diff.addedProperties.length) {
+        lines.push(`Properties added: ${diff.addedProperties.join(', ')}`);
+    }
+    return lines;
+}
+if (typeof module !== 'undefined' && module) {
+    module.exports = {
+        formatComponentKey,
+        getFileKeyHint,
+        getLibraryNameFromKey,
+        describeComponent,
+        parseVariantProperties,
+        parseTags,
+        normalizeMapping,
+        migrateStoredMappings,
+        groupMappings,
+        classifyImport,
+        validateMappings,
+        reviewMappings,
+        parseImport,
+        parseCSV,
+        toCSVField,
+        serializeMappings,
+        getProgressPercent,
+        serializeProgress,
+        splitLayerPath,
+        mapLayerPath,
+        describeDiff
+    };
+}
+// Messages between the UI (ui.html) and the plugin (code.ts). The UI posts `{ pluginMessage: UIMessage }`
+// and receives `PluginMessage` objects in `onmessage`; code.ts checks everything it handles and sends against these.
+// Lint checks each file on its own and can't see code.ts using them, so package.json turns off no-unused-vars here
+/// <reference types="@figma/plugin-typings" />
 // This plugin helps designers create component migration mappings for design system updates
 // Show the UI
 figma.showUI(__html__, {
@@ -16,21 +690,277 @@ figma.showUI(__html__, {
     height: 520,
     title: "Component Migration Helper"
 });
-// Function to get library name from component key
-function getLibraryNameFromKey(componentKey) {
-    try {
-        const fileKey = componentKey.split(':')[0];
-        // For now, return the full file key as the library identifier
-        // This will show the actual library key without truncation
-        return fileKey;
+// Mappings are shared with everyone who opens the document; clientStorage is a per-user copy.
+// MAPPINGS_KEY holds the sets without their mappings; each set's mappings are chunked under `mappings.<set id>`
+const PLUGIN_NAMESPACE = 'component_migration';
+const MAPPINGS_KEY = 'mappings';
+const CLIENT_STORAGE_KEY = 'componentMigrationMappings';
+const SETTINGS_KEY = 'componentMigrationSettings';
+const DEFAULT_SETTINGS = { keepPersonalCopy: false, guideFontFamily: 'Inter', guideGroupBy: 'component' };
+// Figma caps each plugin data entry at 100 kB. Longer values are split into chunks of this many
+// characters, which stays under the cap even when every character takes 3 bytes
+const MAX_ENTRY_LENGTH = 30000;
+// Suggestions scoring below this are not worth showing
+const MIN_SUGGESTION_SCORE = 0.35;
+// Labels and colours used for mapping status in the generated visuals
+const MAPPING_STATUS_STYLES = {
+    'draft': { label: 'Draft', color: { r: 0.5, g: 0.5, b: 0.5 } },
+    'approved': { label: 'Approved', color: { r: 0.2, g: 0.6, b: 0.2 } },
+    'deprecated-no-replacement': { label: 'Deprecated, no replacement', color: { r: 0.8, g: 0.2, b: 0.2 } },
+    'migrated': { label: 'Migrated', color: { r: 0.1, g: 0.45, b: 0.8 } }
+};
+const MAPPING_TYPE_LABELS = {
+    'replace': 'New',
+    'detach': 'Detach',
+    'remove': 'Remove',
+    'conditional': 'Conditional'
+};
+// The guide page and the frames generated on it are marked with plugin data so re-runs update them in place
+const GUIDE_PAGE_NAME = 'Migration Guide';
+const GUIDE_KEY = 'migrationGuide';
+const DEFAULT_GUIDE_FONTS = {
+    regular: { family: 'Inter', style: 'Regular' },
+    medium: { family: 'Inter', style: 'Medium' },
+    bold: { family: 'Inter', style: 'Bold' }
+};
+// Fonts for the guide being generated, and whether any component in it failed to import.
+// Only set during generateVisualComparison, which resets them when it's done
+let guideFonts = DEFAULT_GUIDE_FONTS;
+let guideHasErrors = false;
+const DIFF_RISK_COLORS = {
+    'none': { r: 0.2, g: 0.6, b: 0.2 },
+    'low': { r: 0.8, g: 0.55, b: 0 },
+    'high': { r: 0.8, g: 0.2, b: 0.2 }
+};
+// Size changes bigger than this many pixels make a swap risky
+const RISKY_SIZE_DELTA = 4;
+// Per-document migration status, and the per-user index of every file it was recorded in
+const MIGRATION_STATUS_KEY = 'migrationStatus';
+const FILE_INDEX_KEY = 'componentMigrationFileIndex';
+// Library registry storage
+const LIBRARY_REGISTRY_KEY = 'libraryRegistry';
+const libraryRegistry = { version: 1, libraries: {}, components: {} };
+// The registry is saved as one plugin data entry, so only the most recently assigned components are kept
+const MAX_REGISTERED_COMPONENTS = 1000;
+// Where migration runs are logged on the document, and how many we keep. The oldest runs are
+// dropped once the entries of all logged runs add up to more than MAX_RUN_LOG_LENGTH characters
+const RUN_LOG_KEY = 'migrationRuns';
+const MAX_LOGGED_RUNS = 20;
+const MAX_RUN_LOG_LENGTH = 1000000;
+// How many levels of instances inside instances a run with nested instances follows
+const MAX_NESTING_DEPTH = 10;
+// Where a document without a readable file key keeps the id generated for it
+const DOCUMENT_ID_KEY = 'documentId';
+let documentId = null;
+// This file's id in the library registry and progress index: its file key when the plugin can read it,
+// otherwise an id generated once and stored on the document, so renaming or sharing a name doesn't matter
+function getCurrentFileId() {
+    if (figma.fileKey) {
+        return figma.fileKey;
     }
-    catch (error) {
-        console.log('Could not get library name for key:', componentKey, error);
-        return 'Unknown Library';
+    if (!documentId) {
+        documentId = figma.root.getPluginData(DOCUMENT_ID_KEY);
+    }
+    if (!documentId) {
+        documentId = `local:${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        try {
+            figma.root.setPluginData(DOCUMENT_ID_KEY, documentId);
+        }
+        catch (err) {
+            console.error('Error storing document id:', err);
+        }
+    }
+    return documentId;
+}
+// Add a library, keeping any name that was given by hand. Returns whether anything changed
+function registerLibrary(id, name, source) {
+    const existing = libraryRegistry.libraries[id];
+    if (existing && (existing.source === 'manual' || existing.name === name)) {
+        return false;
+    }
+    libraryRegistry.libraries[id] = { id, name, source };
+    return true;
+}
+function assignComponentLibrary(componentKey, libraryId) {
+    const key = formatComponentKey(componentKey);
+    if (!key || libraryRegistry.components[key] === libraryId) {
+        return false;
+    }
+    // Re-insert so the key counts as recent when the registry is trimmed
+    delete libraryRegistry.components[key];
+    libraryRegistry.components[key] = libraryId;
+    return true;
+}
+// Drop the components assigned longest ago once there are more than MAX_REGISTERED_COMPONENTS
+function trimLibraryRegistry() {
+    const keys = Object.keys(libraryRegistry.components);
+    for (const key of keys.slice(0, Math.max(0, keys.length - MAX_REGISTERED_COMPONENTS))) {
+        delete libraryRegistry.components[key];
+    }
+}
+// Register the published local components of mappings made on the canvas, whose keys are known to be valid
+function registerMappedComponents(mappings) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const keys = new Set();
+        for (const mapping of mappings) {
+            if (mapping.oldKeyStatus === 'valid')
+                keys.add(formatComponentKey(mapping.oldKey));
+            if (mapping.newKeyStatus === 'valid' && mapping.newKey)
+                keys.add(formatComponentKey(mapping.newKey));
+        }
+        let registryChanged = false;
+        for (const key of Array.from(keys)) {
+            // Already known, so no need to import it
+            if (getLibraryId(libraryRegistry, key))
+                continue;
+            try {
+                const component = yield figma.importComponentByKeyAsync(key);
+                registryChanged = (yield registerLocalComponent(component)) || registryChanged;
+            }
+            catch (err) {
+                console.log('Could not register component:', key, err);
+            }
+        }
+        if (registryChanged) {
+            yield saveLibraryRegistry();
+        }
+    });
+}
+// Learn a component's library from a "fileKey:componentKey" or URL it was entered as
+function registerKeyHint(input) {
+    var _a;
+    const fileKey = getFileKeyHint(input);
+    if (!fileKey) {
+        return false;
     }
+    const added = registerLibrary(fileKey, ((_a = libraryRegistry.libraries[fileKey]) === null || _a === void 0 ? void 0 : _a.name) || fileKey, 'key');
+    return assignComponentLibrary(input, fileKey) || added;
+}
+// Components published from this file belong to this file's library
+function registerLocalComponent(component) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a;
+        if (component.remote || (yield component.getPublishStatusAsync()) === 'UNPUBLISHED') {
+            return false;
+        }
+        const libraryId = getCurrentFileId();
+        const added = registerLibrary(libraryId, figma.root.name, 'publish');
+        let changed = assignComponentLibrary(component.key, libraryId) || added;
+        if (component.type === 'COMPONENT' && ((_a = component.parent) === null || _a === void 0 ? void 0 : _a.type) === 'COMPONENT_SET') {
+            changed = assignComponentLibrary(component.parent.key, libraryId) || changed;
+        }
+        return changed;
+    });
+}
+// Register every published component in this file, e.g. when running the plugin in a library file
+function registerFileLibrary() {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            yield figma.loadAllPagesAsync();
+            let registered = 0;
+            for (const page of figma.root.children) {
+                for (const component of page.findAllWithCriteria({ types: ['COMPONENT', 'COMPONENT_SET'] })) {
+                    if (yield registerLocalComponent(component)) {
+                        registered++;
+                    }
+                }
+            }
+            yield saveLibraryRegistry();
+            postToUI({
+                type: 'message',
+                text: registered > 0 ?
+                    `Registered ${registered} published component${registered !== 1 ? 's' : ''} as "${figma.root.name}"` :
+                    'No new published components found in this file',
+                variant: registered > 0 ? 'success' : 'info',
+                timeout: 3000
+            });
+        }
+        catch (err) {
+            console.error('Error registering file library:', err);
+            postToUI({
+                type: 'message',
+                text: 'Failed to register this file as a library',
+                variant: 'error',
+                timeout: 3000
+            });
+        }
+    });
+}
+// The registry lives in the document for collaborators and in clientStorage so it follows the user across files
+function loadLibraryRegistry() {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const personal = yield figma.clientStorage.getAsync(LIBRARY_REGISTRY_KEY);
+            const saved = figma.root.getSharedPluginData(PLUGIN_NAMESPACE, LIBRARY_REGISTRY_KEY);
+            const shared = saved ? JSON.parse(saved) : null;
+            for (const registry of [personal, shared]) {
+                if (registry && registry.libraries && registry.components) {
+                    Object.assign(libraryRegistry.libraries, registry.libraries);
+                    Object.assign(libraryRegistry.components, registry.components);
+                }
+            }
+        }
+        catch (err) {
+            console.error('Error loading library registry:', err);
+        }
+        yield postLibraryRegistry();
+    });
 }
-// Initialize by loading saved mappings
+function saveLibraryRegistry() {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            trimLibraryRegistry();
+            figma.root.setSharedPluginData(PLUGIN_NAMESPACE, LIBRARY_REGISTRY_KEY, JSON.stringify(libraryRegistry));
+            yield figma.clientStorage.setAsync(LIBRARY_REGISTRY_KEY, libraryRegistry);
+        }
+        catch (err) {
+            console.error('Error saving library registry:', err);
+            postToUI({ type: 'saveFailed', error: `Could not save the library registry: ${err instanceof Error ? err.message : String(err)}` });
+        }
+        yield postLibraryRegistry();
+    });
+}
+// Send the registry to the UI, with the team library names available as aliases
+function postLibraryRegistry() {
+    return __awaiter(this, void 0, void 0, function* () {
+        let teamLibraries = [];
+        try {
+            const collections = yield figma.teamLibrary.getAvailableLibraryVariableCollectionsAsync();
+            teamLibraries = Array.from(new Set(collections.map((collection) => collection.libraryName))).sort();
+        }
+        catch (err) {
+            console.log('Team libraries are not available:', err);
+        }
+        postToUI({
+            type: 'libraryRegistry',
+            registry: libraryRegistry,
+            teamLibraries
+        });
+    });
+}
+function setLibraryAlias(libraryId, name) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const trimmed = name.trim();
+        if (!libraryId.trim() || !trimmed)
+            return;
+        libraryRegistry.libraries[libraryId.trim()] = { id: libraryId.trim(), name: trimmed, source: 'manual' };
+        yield saveLibraryRegistry();
+    });
+}
+function assignLibrary(keys, libraryId) {
+    return __awaiter(this, void 0, void 0, function* () {
+        let changed = false;
+        for (const key of keys) {
+            changed = assignComponentLibrary(key, libraryId) || changed;
+        }
+        if (changed) {
+            yield saveLibraryRegistry();
+        }
+    });
+}
+// Initialize by loading saved mappings and the library registry
 loadSavedMappings();
+loadLibraryRegistry();
 // Listen for selection changes
 figma.on("selectionchange", () => {
     handleSelectionChange();
@@ -39,14 +969,43 @@ figma.on("selectionchange", () => {
 setTimeout(() => {
     handleSelectionChange();
 }, 100);
+// Every message to the UI goes through here so its shape is checked against messages.ts
+function postToUI(message) {
+    figma.ui.postMessage(message);
+}
 // Handle messages from the UI
 figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
     switch (msg.type) {
         case 'copySelectedKey':
             yield copySelectedComponentKey();
             break;
+        case 'registerFileLibrary':
+            yield registerFileLibrary();
+            break;
+        case 'setLibraryAlias':
+            yield setLibraryAlias(msg.libraryId, msg.name);
+            break;
+        case 'assignLibrary':
+            yield assignLibrary(msg.keys, msg.libraryId);
+            break;
+        case 'measureDiffs':
+            yield measureDiffs(msg.pairs);
+            break;
+        case 'parseImport':
+            previewImport(msg.content, msg.fileName, msg.existing);
+            break;
+        case 'reviewMappings':
+            yield registerMappedComponents(msg.incoming);
+            postToUI(Object.assign(Object.assign({ type: 'mappingReview', source: 'mapping' }, reviewMappings(msg.existing, msg.incoming, libraryRegistry)), { skipped: 0, libraryHints: [], warnings: [] }));
+            break;
+        case 'validateMappings':
+            postToUI({ type: 'mappingIssues', setId: msg.setId, issues: validateMappings(msg.mappings, libraryRegistry) });
+            break;
+        case 'exportMappings':
+            postToUI(Object.assign({ type: 'exportReady' }, serializeMappings(msg.format, msg.mappings, msg.setName, libraryRegistry, new Date())));
+            break;
         case 'generateVisuals':
-            yield generateVisualComparison(msg.mappings);
+            yield generateVisualComparison(msg.mappings, msg.guide);
             break;
         case 'saveMappings':
             yield saveMappings(msg.data);
@@ -55,462 +1014,2269 @@ figma.ui.onmessage = (msg) => __awaiter(void 0, void 0, void 0, function* () {
         case 'loadMappings':
             yield loadSavedMappings();
             break;
+        case 'saveSettings':
+            yield saveSettings(msg.settings);
+            break;
         case 'getInitialSelection':
             handleSelectionChange();
             break;
         case 'insertComponentsByKeys':
             yield insertComponentsByKeys(msg.keys);
             break;
+        case 'resolveKeys':
+            yield resolveKeys(msg.keys, msg.libraryHints || []);
+            break;
+        case 'applyMigration':
+            yield applyMigration(msg.mappings, msg.scope, msg.set, msg.includeNested);
+            break;
+        case 'getProgress':
+            yield postProgressIndex();
+            break;
+        case 'forgetFile':
+            yield forgetFile(msg.fileId);
+            break;
+        case 'exportProgress':
+            postToUI(Object.assign({ type: 'exportReady' }, serializeProgress(msg.format, yield loadProgressFiles(), new Date())));
+            break;
+        case 'getMigrationRuns':
+            postMigrationRuns();
+            break;
+        case 'rollbackRun':
+            yield rollbackRun(msg.runId);
+            break;
+        case 'pairComponentSets':
+            yield pairComponentSets(msg.oldSet, msg.newSet, msg.rules || []);
+            break;
+        case 'getPages':
+            postToUI({
+                type: 'pages',
+                pages: figma.root.children.map((page) => ({ id: page.id, name: page.name })),
+                currentPageId: figma.currentPage.id
+            });
+            break;
+        case 'suggestReplacements':
+            yield suggestReplacements(msg.request);
+            break;
+        case 'scanUsage':
+            yield scanUsage(msg.mappings, msg.set);
+            break;
+        case 'selectNodes':
+            yield selectNodes(msg.nodeIds);
+            break;
+        case 'findInstances':
+            yield findInstances(msg.key, msg.scope);
+            break;
+        case 'message':
+            figma.notify(msg.text, { timeout: msg.timeout, error: msg.variant === 'error' });
+            break;
     }
 });
-function formatComponentKey(input) {
-    const raw = input.trim();
-    // if URL pasted, extract key param
-    if (raw.startsWith("http")) {
-        try {
-            const u = new URL(raw);
-            const k = u.searchParams.get("key");
-            if (k)
-                return k;
-        }
-        catch (_a) { }
-    }
-    // if fileKey:componentKey pasted, grab the right side
-    if (raw.includes(":")) {
-        return raw.split(":").pop().trim();
-    }
-    return raw;
-}
 // Handle selection changes
 function handleSelectionChange() {
-    const selection = figma.currentPage.selection;
-    const componentInfo = [];
-    for (const node of selection) {
-        const componentKey = getComponentKey(node);
-        if (componentKey) {
-            componentInfo.push({
-                key: componentKey,
-                name: getComponentName(node),
-                id: node.id,
-                library: getLibraryNameFromKey(componentKey)
-            });
-        }
-    }
-    figma.ui.postMessage({
-        type: 'selectionChange',
-        selection: componentInfo
+    return __awaiter(this, void 0, void 0, function* () {
+        const selection = figma.currentPage.selection;
+        const componentInfo = [];
+        const componentSets = new Map();
+        for (const node of selection) {
+            const componentSet = yield getComponentSet(node);
+            if (componentSet) {
+                componentSets.set(componentSet.id, {
+                    id: componentSet.id,
+                    key: componentSet.key,
+                    name: componentSet.name,
+                    variantCount: componentSet.children.length
+                });
+            }
+            const component = yield getMainComponent(node);
+            if (component) {
+                const details = getComponentDetails(component);
+                componentInfo.push({
+                    key: component.key,
+                    name: details.name,
+                    id: node.id,
+                    library: getLibraryNameFromKey(libraryRegistry, component.key),
+                    variantProperties: details.variantProperties,
+                    componentProperties: details.componentProperties
+                });
+            }
+        }
+        postToUI({
+            type: 'selectionChange',
+            selection: componentInfo,
+            componentSets: Array.from(componentSets.values())
+        });
+    });
+}
+// Get the component set a node is, or whose variant it is (directly or through an instance)
+function getComponentSet(node) {
+    return __awaiter(this, void 0, void 0, function* () {
+        var _a;
+        if (node.type === 'COMPONENT_SET') {
+            return node;
+        }
+        const component = yield getMainComponent(node);
+        return ((_a = component === null || component === void 0 ? void 0 : component.parent) === null || _a === void 0 ? void 0 : _a.type) === 'COMPONENT_SET' ? component.parent : null;
+    });
+}
+// Key of the component set a variant belongs to, if any
+function getComponentSetKey(component) {
+    var _a;
+    return ((_a = component.parent) === null || _a === void 0 ? void 0 : _a.type) === 'COMPONENT_SET' ? component.parent.key : null;
+}
+// Get the component a node represents: itself for components, the main component for instances
+function getMainComponent(node) {
+    return __awaiter(this, void 0, void 0, function* () {
+        if (node.type === 'COMPONENT') {
+            return node;
+        }
+        else if (node.type === 'INSTANCE') {
+            return yield node.getMainComponentAsync();
+        }
+        return null;
+    });
+}
+function clearSelection() {
+    figma.currentPage.selection = [];
+}
+// Check whether a key imports as a component, and fetch its real name and properties.
+// The imported component comes back too, so callers don't have to import it again
+function resolveComponentKey(key) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const formattedKey = formatComponentKey(key);
+        try {
+            const component = yield figma.importComponentByKeyAsync(formattedKey);
+            return { resolved: Object.assign({ input: key, key: formattedKey, status: 'valid' }, getComponentDetails(component)), component };
+        }
+        catch (_err) {
+            // A common mistake is copying the component set's key instead of a variant's
+            try {
+                const componentSet = yield figma.importComponentSetByKeyAsync(formattedKey);
+                return { resolved: { input: key, key: formattedKey, status: 'set-key', name: componentSet.name }, component: null };
+            }
+            catch (_setErr) {
+                return { resolved: { input: key, key: formattedKey, status: 'not-found' }, component: null };
+            }
+        }
+    });
+}
+// Resolve keys in the background and report their status to the UI. Library hints are keys as they were
+// entered ("fileKey:componentKey" or URLs), which tell us which library file a component comes from
+function resolveKeys(keys, libraryHints) {
+    return __awaiter(this, void 0, void 0, function* () {
+        let registryChanged = false;
+        for (const hint of libraryHints) {
+            registryChanged = registerKeyHint(hint) || registryChanged;
+        }
+        const results = [];
+        for (const key of Array.from(new Set(keys))) {
+            const { resolved, component } = yield resolveComponentKey(key);
+            if (component) {
+                registryChanged = (yield registerLocalComponent(component)) || registryChanged;
+            }
+            results.push(resolved);
+        }
+        if (registryChanged) {
+            yield saveLibraryRegistry();
+        }
+        postToUI({
+            type: 'keysResolved',
+            results
+        });
+    });
+}
+// Parse an import file and review its rows against the current set, without changing anything yet
+function previewImport(content, fileName, existing) {
+    const parsed = parseImport(content, fileName);
+    if ('error' in parsed) {
+        postToUI({ type: 'mappingReview', source: 'import', error: parsed.error });
+        return;
+    }
+    postToUI(Object.assign(Object.assign({ type: 'mappingReview', source: 'import' }, reviewMappings(existing, parsed.mappings, libraryRegistry)), { skipped: parsed.skipped, libraryHints: parsed.libraryHints, warnings: parsed.warnings }));
+}
+// Insert components by their keys
+function insertComponentsByKeys(keys) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const insertedComponents = [];
+            const errors = [];
+            // Get cursor position or use viewport center
+            const viewportCenter = figma.viewport.center;
+            let currentX = viewportCenter.x;
+            let currentY = viewportCenter.y;
+            let registryChanged = false;
+            for (const key of keys) {
+                registryChanged = registerKeyHint(key) || registryChanged;
+                try {
+                    // Format the component key
+                    const formattedKey = formatComponentKey(key);
+                    // Import the component
+                    const component = yield figma.importComponentByKeyAsync(formattedKey);
+                    if (component) {
+                        // Create instance
+                        const instance = component.createInstance();
+                        // Position the instance
+                        instance.x = currentX;
+                        instance.y = currentY;
+                        // Add to inserted components
+                        insertedComponents.push(instance);
+                        // Move position for next component (stack horizontally)
+                        currentX += instance.width + 20;
+                        // If we've gone too far right, move to next row
+                        if (currentX > viewportCenter.x + 400) {
+                            currentX = viewportCenter.x;
+                            currentY += instance.height + 20;
+                        }
+                    }
+                    else {
+                        errors.push(`Could not import component with key: ${key}`);
+                    }
+                }
+                catch (error) {
+                    console.error('Error importing component:', key, error);
+                    const { resolved } = yield resolveComponentKey(key);
+                    errors.push(resolved.status === 'set-key'
+                        ? `${key} is a component set key, use one of its variants' keys`
+                        : `Component not found or not published: ${key}`);
+                }
+            }
+            if (registryChanged) {
+                yield saveLibraryRegistry();
+            }
+            // Select all inserted components
+            if (insertedComponents.length > 0) {
+                figma.currentPage.selection = insertedComponents;
+                figma.viewport.scrollAndZoomIntoView(insertedComponents);
+            }
+            // Send result back to UI
+            postToUI({
+                type: 'componentInsertionResult',
+                success: insertedComponents.length > 0,
+                insertedCount: insertedComponents.length,
+                errorCount: errors.length,
+                errors: errors
+            });
+        }
+        catch (error) {
+            console.error('Error in insertComponentsByKeys:', error);
+            postToUI({
+                type: 'componentInsertionResult',
+                success: false,
+                insertedCount: 0,
+                errorCount: 1,
+                errors: ['Failed to insert components']
+            });
+        }
+    });
+}
+// Get a readable component name plus its structured variant and property data
+function getComponentDetails(component) {
+    var _a;
+    let name = component.name;
+    // Variants are named "Prop=Value, ...": use the component set name instead
+    const componentSet = ((_a = component.parent) === null || _a === void 0 ? void 0 : _a.type) === 'COMPONENT_SET' ? component.parent : null;
+    if (componentSet && name.includes('=')) {
+        name = componentSet.name;
+    }
+    return {
+        name,
+        variantProperties: component.variantProperties ? Object.assign({}, component.variantProperties) : null,
+        componentProperties: getComponentProperties(component)
+    };
+}
+// Get the property definitions of a component keyed by their display name
+function getComponentProperties(component) {
+    var _a;
+    const properties = {};
+    try {
+        // Variants don't own their definitions, the component set does
+        const owner = ((_a = component.parent) === null || _a === void 0 ? void 0 : _a.type) === 'COMPONENT_SET' ? component.parent : component;
+        const definitions = owner.componentPropertyDefinitions;
+        for (const key of Object.keys(definitions)) {
+            const definition = definitions[key];
+            properties[getPropertyName(key)] = Object.assign({ type: definition.type, defaultValue: definition.defaultValue }, (definition.variantOptions ? { variantOptions: definition.variantOptions } : {}));
+        }
+    }
+    catch (err) {
+        console.log('Could not read component properties for:', component.name, err);
+    }
+    return properties;
+}
+// Strip the "#id" suffix Figma adds to TEXT, BOOLEAN and INSTANCE_SWAP property keys
+function getPropertyName(propertyKey) {
+    const hashIndex = propertyKey.lastIndexOf('#');
+    return hashIndex > 0 ? propertyKey.slice(0, hashIndex) : propertyKey;
+}
+// Copy selected component key to clipboard
+function copySelectedComponentKey() {
+    return __awaiter(this, void 0, void 0, function* () {
+        const selection = figma.currentPage.selection;
+        if (selection.length === 0) {
+            postToUI({
+                type: 'keyCopied',
+                success: false,
+                error: 'No component selected'
+            });
+            return;
+        }
+        const component = yield getMainComponent(selection[0]);
+        if (!component) {
+            postToUI({
+                type: 'keyCopied',
+                success: false,
+                error: 'Selected node is not a component'
+            });
+            return;
+        }
+        postToUI({
+            type: 'keyCopied',
+            success: true,
+            key: component.key
+        });
+    });
+}
+// Build the Migration Guide page for a mapping set, updating the set's guide in place when it already exists
+function generateVisualComparison(mappings, options) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            guideFonts = yield loadGuideFonts(options.fontFamily);
+            const page = findOrCreateGuidePage();
+            yield figma.setCurrentPageAsync(page);
+            const guideId = `set:${options.setId}`;
+            let guide = page.findChild((node) => node.type === 'FRAME' && node.getPluginData(GUIDE_KEY) === guideId);
+            const isUpdate = !!guide;
+            if (!guide) {
+                // New guides go to the right of whatever is already on the page
+                const right = page.children.reduce((max, node) => Math.max(max, node.x + node.width + 120), 0);
+                guide = figma.createFrame();
+                guide.setPluginData(GUIDE_KEY, guideId);
+                guide.x = right;
+                guide.y = 0;
+            }
+            setupAutoLayout(guide, `Migration Guide – ${options.setName}`, 'VERTICAL', 32, 48);
+            guide.fills = [{ type: 'SOLID', color: { r: 0.98, g: 0.98, b: 0.98 } }];
+            // Reuse the cover and section frames from the last run, in their new order
+            const previousFrames = new Map();
+            for (const child of guide.children) {
+                const key = child.getPluginData(GUIDE_KEY);
+                if (child.type === 'FRAME' && key) {
+                    previousFrames.set(key, child);
+                }
+                else {
+                    child.remove();
+                }
+            }
+            const guideFrame = guide;
+            const reuseFrame = (key) => {
+                const frame = previousFrames.get(key) || figma.createFrame();
+                previousFrames.delete(key);
+                frame.setPluginData(GUIDE_KEY, key);
+                for (const child of frame.children.slice()) {
+                    child.remove();
+                }
+                guideFrame.appendChild(frame);
+                return frame;
+            };
+            buildGuideCover(reuseFrame('cover'), mappings, options);
+            for (const section of groupMappings(mappings, options.groupBy, libraryRegistry)) {
+                yield buildGuideSection(reuseFrame(`section:${section.key}`), section);
+            }
+            // Sections whose mappings were all removed since the last run
+            previousFrames.forEach((frame) => frame.remove());
+            figma.currentPage.selection = [guide];
+            figma.viewport.scrollAndZoomIntoView([guide]);
+            const action = isUpdate ? 'updated' : 'created';
+            postToUI({
+                type: 'message',
+                text: guideHasErrors ?
+                    `Migration guide ${action} with some errors. Some components may not be available.` :
+                    `Migration guide ${action} on the "${page.name}" page.`,
+                variant: guideHasErrors ? 'warning' : 'info',
+                timeout: 3000
+            });
+        }
+        catch (err) {
+            console.error('Error generating visuals:', err);
+            postToUI({
+                type: 'message',
+                text: 'Failed to generate migration guide',
+                variant: 'error',
+                timeout: 3000
+            });
+        }
+        finally {
+            // A failed run mustn't leave its fonts or error flag to the next one
+            guideFonts = DEFAULT_GUIDE_FONTS;
+            guideHasErrors = false;
+        }
+    });
+}
+// Load the requested font family, falling back to Inter and then to any font that's available
+function loadGuideFonts(family) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const tryLoad = (font) => __awaiter(this, void 0, void 0, function* () {
+            try {
+                yield figma.loadFontAsync(font);
+                return true;
+            }
+            catch (_err) {
+                return false;
+            }
+        });
+        for (const candidate of [family, 'Inter']) {
+            const regular = { family: candidate, style: 'Regular' };
+            if (!candidate || !(yield tryLoad(regular)))
+                continue;
+            // Families without Medium or Bold use the next lighter style
+            const medium = { family: candidate, style: 'Medium' };
+            const bold = { family: candidate, style: 'Bold' };
+            const mediumFont = (yield tryLoad(medium)) ? medium : regular;
+            return {
+                regular,
+                medium: mediumFont,
+                bold: (yield tryLoad(bold)) ? bold : mediumFont
+            };
+        }
+        const [fallback] = yield figma.listAvailableFontsAsync();
+        yield figma.loadFontAsync(fallback.fontName);
+        return { regular: fallback.fontName, medium: fallback.fontName, bold: fallback.fontName };
+    });
+}
+function findOrCreateGuidePage() {
+    const existing = figma.root.children.find((page) => page.getPluginData(GUIDE_KEY) === 'page');
+    if (existing) {
+        return existing;
+    }
+    const page = figma.createPage();
+    page.name = GUIDE_PAGE_NAME;
+    page.setPluginData(GUIDE_KEY, 'page');
+    return page;
+}
+function buildGuideCover(cover, mappings, options) {
+    setupAutoLayout(cover, 'Cover', 'VERTICAL', 8, 40);
+    cover.fills = [{ type: 'SOLID', color: { r: 0.1, g: 0.1, b: 0.1 } }];
+    cover.cornerRadius = 12;
+    cover.layoutAlign = 'STRETCH';
+    const white = { r: 1, g: 1, b: 1 };
+    cover.appendChild(createGuideText('MIGRATION GUIDE', 12, 'bold', { r: 0.6, g: 0.6, b: 0.6 }));
+    cover.appendChild(createGuideText(options.setName, 32, 'bold', white));
+    cover.appendChild(createGuideText(`Generated ${new Date().toISOString().split('T')[0]}`, 14, 'regular', white));
+    const counts = new Map();
+    for (const mapping of mappings) {
+        const status = mapping.status || 'draft';
+        counts.set(status, (counts.get(status) || 0) + 1);
+    }
+    const summary = [`${mappings.length} mapping${mappings.length !== 1 ? 's' : ''}`];
+    counts.forEach((count, status) => summary.push(`${count} ${MAPPING_STATUS_STYLES[status].label.toLowerCase()}`));
+    cover.appendChild(createGuideText(summary.join(' · '), 14, 'regular', { r: 0.75, g: 0.75, b: 0.75 }));
+}
+function buildGuideSection(frame, section) {
+    return __awaiter(this, void 0, void 0, function* () {
+        setupAutoLayout(frame, section.title, 'VERTICAL', 16, 0);
+        frame.fills = [];
+        frame.appendChild(createGuideText(section.title, 20, 'bold', { r: 0.1, g: 0.1, b: 0.1 }));
+        for (const mapping of section.rows) {
+            try {
+                frame.appendChild(yield createGuideRow(mapping));
+            }
+            catch (err) {
+                console.error('Error creating visual for mapping:', err);
+                guideHasErrors = true;
+            }
+        }
+        for (const matrix of section.matrices) {
+            try {
+                frame.appendChild(yield createVariantMatrix(matrix.componentSet, matrix.mappings));
+            }
+            catch (err) {
+                console.error('Error creating variant matrix:', err);
+                guideHasErrors = true;
+            }
+        }
+    });
+}
+// One OLD → NEW card with the mapping's status, tags and notes
+function createGuideRow(mapping) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const row = createCard(`${describeComponent(mapping.oldName || 'Old').name} → ${describeComponent(mapping.newName || 'New').name}`, 'HORIZONTAL');
+        row.appendChild(yield createComponentColumn('OLD', { r: 0.8, g: 0.2, b: 0.2 }, mapping.oldKey, mapping.oldName, mapping.oldVariantProperties));
+        row.appendChild(createGuideText('→', 24, 'regular', { r: 0.4, g: 0.4, b: 0.4 }));
+        const type = mapping.type || 'replace';
+        if (type === 'replace') {
+            row.appendChild(yield createComponentColumn('NEW', { r: 0.2, g: 0.6, b: 0.2 }, mapping.newKey, mapping.newName, mapping.newVariantProperties));
+        }
+        else {
+            // What happens instead when there's no single replacement
+            const column = createAutoLayout('NEW', 'VERTICAL', 12);
+            const color = type === 'conditional' ? { r: 0.2, g: 0.6, b: 0.2 } : { r: 0.8, g: 0.2, b: 0.2 };
+            column.appendChild(createGuideText(MAPPING_TYPE_LABELS[type].toUpperCase(), 12, 'bold', color));
+            yield appendReplacementDetails(column, mapping);
+            row.appendChild(column);
+        }
+        row.appendChild(createMappingDetails(mapping));
+        if (type === 'replace') {
+            row.appendChild(createDiffAnnotation(yield measureMapping(mapping.oldKey, mapping.newKey)));
+        }
+        return row;
+    });
+}
+// Every variant pair of a component set mapping, one line each
+function createVariantMatrix(componentSet, mappings) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const matrix = createCard(`${componentSet.oldSetName} → ${componentSet.newSetName}`, 'VERTICAL');
+        matrix.appendChild(createGuideText(`${componentSet.oldSetName} → ${componentSet.newSetName}`, 16, 'medium', { r: 0.1, g: 0.1, b: 0.1 }));
+        matrix.appendChild(createGuideText(`${mappings.length} variant${mappings.length !== 1 ? 's' : ''}`, 12, 'regular', { r: 0.6, g: 0.6, b: 0.6 }));
+        const sorted = mappings.slice().sort((a, b) => describeComponent('', a.oldVariantProperties).variants.localeCompare(describeComponent('', b.oldVariantProperties).variants));
+        for (const mapping of sorted) {
+            const line = createAutoLayout('Variant', 'HORIZONTAL', 24);
+            line.counterAxisAlignItems = 'CENTER';
+            const labels = createAutoLayout('Variant properties', 'VERTICAL', 4);
+            labels.counterAxisSizingMode = 'FIXED';
+            labels.resize(200, labels.height);
+            const oldVariants = describeComponent('', mapping.oldVariantProperties).variants || describeComponent(mapping.oldName).name;
+            const newVariants = describeComponent('', mapping.newVariantProperties).variants || describeComponent(mapping.newName).name;
+            labels.appendChild(createWrappingText(oldVariants, 11, 'medium', { r: 0.1, g: 0.1, b: 0.1 }));
+            labels.appendChild(createWrappingText(`→ ${newVariants}`, 11, 'regular', { r: 0.4, g: 0.4, b: 0.4 }));
+            line.appendChild(labels);
+            yield appendComponentPreview(line, mapping.oldKey);
+            line.appendChild(createGuideText('→', 16, 'regular', { r: 0.4, g: 0.4, b: 0.4 }));
+            yield appendComponentPreview(line, mapping.newKey);
+            const status = MAPPING_STATUS_STYLES[mapping.status || 'draft'] || MAPPING_STATUS_STYLES.draft;
+            line.appendChild(createGuideText(status.label.toUpperCase(), 10, 'bold', status.color));
+            const diff = yield measureMapping(mapping.oldKey, mapping.newKey);
+            if (diff && diff.risk !== 'none') {
+                line.appendChild(createGuideText(summarizeDiff(diff), 10, 'medium', DIFF_RISK_COLORS[diff.risk]));
+            }
+            if (mapping.notes) {
+                line.appendChild(createGuideText(mapping.notes, 11, 'regular', { r: 0.2, g: 0.2, b: 0.2 }));
+            }
+            matrix.appendChild(line);
+        }
+        return matrix;
+    });
+}
+// Label, name, library, variants and a live instance for one side of a mapping
+function createComponentColumn(label, labelColor, key, name, variantProperties) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const column = createAutoLayout(label, 'VERTICAL', 12);
+        column.appendChild(createGuideText(label, 12, 'bold', labelColor));
+        const title = createAutoLayout('Title', 'VERTICAL', 4);
+        const description = describeComponent(name || 'Component', variantProperties);
+        title.appendChild(createGuideText(description.name, 16, 'medium', { r: 0.1, g: 0.1, b: 0.1 }));
+        title.appendChild(createGuideText(`(${getLibraryNameFromKey(libraryRegistry, key)})`, 12, 'regular', { r: 0.6, g: 0.6, b: 0.6 }));
+        if (description.variants) {
+            title.appendChild(createGuideText(description.variants, 11, 'regular', { r: 0.5, g: 0.5, b: 0.5 }));
+        }
+        column.appendChild(title);
+        yield appendComponentPreview(column, key);
+        return column;
+    });
+}
+// Append an instance of a component, or a warning when it can't be imported
+function appendComponentPreview(parent, key) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const component = yield importPreviewComponent(key);
+            if (component) {
+                parent.appendChild(component.createInstance());
+            }
+        }
+        catch (_err) {
+            parent.appendChild(createGuideText('⚠️ Component not found', 12, 'regular', { r: 0.8, g: 0.2, b: 0.2 }));
+            guideHasErrors = true;
+        }
+    });
+}
+// Import a component for previewing; a component set key previews its default variant
+function importPreviewComponent(key) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const formattedKey = formatComponentKey(key);
+        try {
+            return yield figma.importComponentByKeyAsync(formattedKey);
+        }
+        catch (_err) {
+            const componentSet = yield figma.importComponentSetByKeyAsync(formattedKey);
+            return componentSet.defaultVariant;
+        }
+    });
+}
+// Describe a detach, remove or conditional mapping in the NEW column of the guide
+function appendReplacementDetails(section, mapping) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const muted = { r: 0.3, g: 0.3, b: 0.3 };
+        if (mapping.type === 'detach') {
+            section.appendChild(createGuideText('No replacement: instances are detached and keep their layers', 12, 'regular', muted));
+            return;
+        }
+        if (mapping.type === 'remove') {
+            section.appendChild(createGuideText('No replacement: instances are deleted', 12, 'regular', muted));
+            return;
+        }
+        // Conditional: one line and preview per branch, then the fallback
+        const branches = (mapping.conditions || []).map((condition) => ({
+            label: `${condition.property}=${condition.value} →`,
+            key: condition.newKey,
+            name: describeComponent(condition.newName || 'Component', condition.newVariantProperties).name
+        }));
+        branches.push({
+            label: 'Otherwise →',
+            key: mapping.newKey,
+            name: mapping.newKey ? describeComponent(mapping.newName || 'Component', mapping.newVariantProperties).name : 'left unchanged'
+        });
+        for (const branch of branches) {
+            section.appendChild(createGuideText(`${branch.label} ${branch.name}`, 12, 'medium', { r: 0.1, g: 0.1, b: 0.1 }));
+            if (branch.key) {
+                yield appendComponentPreview(section, branch.key);
+            }
+        }
+    });
+}
+// Measured differences shown next to a mapping pair in the guide
+function createDiffAnnotation(diff) {
+    const annotation = createAutoLayout('Diff', 'VERTICAL', 6);
+    annotation.counterAxisSizingMode = 'FIXED';
+    annotation.resize(220, annotation.height);
+    const color = diff ? DIFF_RISK_COLORS[diff.risk] : DIFF_RISK_COLORS.high;
+    annotation.appendChild(createGuideText(diff ? `DIFF · ${diff.risk.toUpperCase()} RISK` : 'DIFF', 11, 'bold', color));
+    const lines = diff ? describeDiff(diff) : ['Could not compare the components'];
+    for (const line of lines.length ? lines : ['No measured differences']) {
+        annotation.appendChild(createWrappingText(line, 11, 'regular', { r: 0.3, g: 0.3, b: 0.3 }));
+    }
+    return annotation;
+}
+// One-line version for the variant matrix
+function summarizeDiff(diff) {
+    const lines = describeDiff(diff);
+    return lines.length > 1 ? `${lines[0]} (+${lines.length - 1} more)` : lines[0];
+}
+// Status, tags and notes shown next to a mapping pair in the guide
+function createMappingDetails(mapping) {
+    const details = createAutoLayout('Details', 'VERTICAL', 8);
+    details.counterAxisSizingMode = 'FIXED';
+    details.resize(220, details.height);
+    const status = MAPPING_STATUS_STYLES[mapping.status || 'draft'] || MAPPING_STATUS_STYLES.draft;
+    details.appendChild(createGuideText(status.label.toUpperCase(), 11, 'bold', status.color));
+    const tags = mapping.tags || [];
+    if (tags.length > 0) {
+        details.appendChild(createWrappingText(tags.map((tag) => `#${tag}`).join(' '), 11, 'medium', { r: 0.4, g: 0.4, b: 0.4 }));
+    }
+    if (mapping.notes) {
+        details.appendChild(createWrappingText(mapping.notes, 12, 'regular', { r: 0.2, g: 0.2, b: 0.2 }));
+    }
+    return details;
+}
+function setupAutoLayout(frame, name, direction, itemSpacing, padding = 0) {
+    frame.name = name;
+    frame.layoutMode = direction;
+    frame.itemSpacing = itemSpacing;
+    frame.paddingLeft = padding;
+    frame.paddingRight = padding;
+    frame.paddingTop = padding;
+    frame.paddingBottom = padding;
+    frame.primaryAxisSizingMode = 'AUTO';
+    frame.counterAxisSizingMode = 'AUTO';
+}
+function createAutoLayout(name, direction, itemSpacing, padding = 0) {
+    const frame = figma.createFrame();
+    setupAutoLayout(frame, name, direction, itemSpacing, padding);
+    frame.fills = [];
+    return frame;
+}
+// White rounded card used for rows and variant matrices
+function createCard(name, direction) {
+    const card = createAutoLayout(name, direction, direction === 'HORIZONTAL' ? 32 : 12, 24);
+    card.fills = [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }];
+    card.strokes = [{ type: 'SOLID', color: { r: 0.9, g: 0.9, b: 0.9 } }];
+    card.strokeWeight = 1;
+    card.cornerRadius = 8;
+    return card;
+}
+function createGuideText(characters, fontSize, weight, color) {
+    const text = figma.createText();
+    // Set the font first: the default font may not be loaded
+    text.fontName = guideFonts[weight];
+    text.characters = characters;
+    text.fontSize = fontSize;
+    text.fills = [{ type: 'SOLID', color }];
+    return text;
+}
+// Text that fills its parent's width and wraps
+function createWrappingText(characters, fontSize, weight, color) {
+    const text = createGuideText(characters, fontSize, weight, color);
+    text.layoutAlign = 'STRETCH';
+    text.textAutoResize = 'HEIGHT';
+    return text;
+}
+// Compare the old and new component of each pair and report the differences to the UI
+function measureDiffs(pairs) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const results = [];
+        for (const pair of pairs) {
+            results.push(Object.assign(Object.assign({}, pair), { diff: yield measureMapping(pair.oldKey, pair.newKey) }));
+        }
+        postToUI({
+            type: 'visualDiffs',
+            results
+        });
+    });
+}
+function measureMapping(oldKey, newKey) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const [oldComponent, newComponent] = yield Promise.all([importPreviewComponent(oldKey), importPreviewComponent(newKey)]);
+            return oldComponent && newComponent ? yield computeVisualDiff(oldComponent, newComponent) : null;
+        }
+        catch (_err) {
+            return null;
+        }
+    });
+}
+// Node-level comparison: size, auto-layout padding and spacing, fill, stroke and text styles, property names
+function computeVisualDiff(oldComponent, newComponent) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const changes = [];
+        const compare = (label, before, after) => {
+            if (before !== after) {
+                changes.push(`${label}: ${before} → ${after}`);
+            }
+        };
+        const spacing = (node) => node.layoutMode === 'NONE' ? null : {
+            padding: [node.paddingTop, node.paddingRight, node.paddingBottom, node.paddingLeft].map(formatNumber).join('/'),
+            gap: formatNumber(node.itemSpacing)
+        };
+        const oldSpacing = spacing(oldComponent);
+        const newSpacing = spacing(newComponent);
+        if (oldSpacing && newSpacing) {
+            compare('Padding', oldSpacing.padding, newSpacing.padding);
+            compare('Spacing', oldSpacing.gap, newSpacing.gap);
+        }
+        else if (oldSpacing || newSpacing) {
+            compare('Auto layout', oldSpacing ? 'on' : 'off', newSpacing ? 'on' : 'off');
+        }
+        compare('Fill', yield describePaints(oldComponent, 'fill'), yield describePaints(newComponent, 'fill'));
+        compare('Stroke', yield describePaints(oldComponent, 'stroke'), yield describePaints(newComponent, 'stroke'));
+        const oldText = yield describeTextStyles(oldComponent);
+        const newText = yield describeTextStyles(newComponent);
+        const removedText = oldText.filter((style) => !newText.includes(style));
+        const addedText = newText.filter((style) => !oldText.includes(style));
+        if (removedText.length || addedText.length) {
+            changes.push(`Text: ${removedText.join(', ') || 'none'} → ${addedText.join(', ') || 'none'}`);
+        }
+        const oldProperties = Object.keys(getComponentProperties(oldComponent));
+        const newProperties = Object.keys(getComponentProperties(newComponent));
+        const removedProperties = oldProperties.filter((name) => !newProperties.includes(name));
+        const addedProperties = newProperties.filter((name) => !oldProperties.includes(name));
+        const widthDelta = Math.round((newComponent.width - oldComponent.width) * 100) / 100;
+        const heightDelta = Math.round((newComponent.height - oldComponent.height) * 100) / 100;
+        let risk = 'none';
+        if (Math.abs(widthDelta) > RISKY_SIZE_DELTA || Math.abs(heightDelta) > RISKY_SIZE_DELTA || removedProperties.length > 0) {
+            risk = 'high';
+        }
+        else if (widthDelta || heightDelta || changes.length || addedProperties.length) {
+            risk = 'low';
+        }
+        return { widthDelta, heightDelta, changes, removedProperties, addedProperties, risk };
+    });
+}
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+// A fill or stroke as its style name, or its paints when no style is applied
+function describePaints(node, kind) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const styleId = kind === 'fill' ? node.fillStyleId : node.strokeStyleId;
+        if (typeof styleId === 'string' && styleId) {
+            const style = yield figma.getStyleByIdAsync(styleId);
+            if (style) {
+                return style.name;
+            }
+        }
+        const paints = kind === 'fill' ? node.fills : node.strokes;
+        if (paints === figma.mixed) {
+            return 'mixed';
+        }
+        const visible = paints.filter((paint) => paint.visible !== false);
+        if (visible.length === 0) {
+            return 'none';
+        }
+        return visible.map((paint) => paint.type === 'SOLID' ? rgbToHex(paint.color) : paint.type.toLowerCase()).join(' + ');
+    });
+}
+function rgbToHex(color) {
+    return '#' + [color.r, color.g, color.b].map((channel) => Math.round(channel * 255).toString(16).padStart(2, '0')).join('');
+}
+// Unique text styles used inside a component: style names, or family, style and size
+function describeTextStyles(component) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const styles = new Set();
+        for (const text of component.findAllWithCriteria({ types: ['TEXT'] })) {
+            if (typeof text.textStyleId === 'string' && text.textStyleId) {
+                const style = yield figma.getStyleByIdAsync(text.textStyleId);
+                if (style) {
+                    styles.add(style.name);
+                    continue;
+                }
+            }
+            if (text.fontName === figma.mixed || text.fontSize === figma.mixed) {
+                styles.add('mixed');
+            }
+            else {
+                styles.add(`${text.fontName.family} ${text.fontName.style} ${formatNumber(text.fontSize)}`);
+            }
+        }
+        return Array.from(styles).sort();
+    });
+}
+// Where a migration run looks for instances: the selected layers, the current page or every page
+function getScopeRoots(scope) {
+    return __awaiter(this, void 0, void 0, function* () {
+        if (scope === 'page') {
+            return [figma.currentPage];
+        }
+        if (scope === 'file') {
+            yield figma.loadAllPagesAsync();
+            return figma.root.children.slice();
+        }
+        return figma.currentPage.selection.slice();
+    });
+}
+// Local main components used inside the roots, including ones used by those components in turn.
+// Swapping inside a main component updates every instance of it, wherever they are
+function findLocalMainComponents(roots) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const found = new Map();
+        const queue = roots.slice();
+        while (queue.length > 0) {
+            const root = queue.shift();
+            const instances = 'findAllWithCriteria' in root ? root.findAllWithCriteria({ types: ['INSTANCE'] }) : [];
+            for (const instance of root.type === 'INSTANCE' ? [root, ...instances] : instances) {
+                const mainComponent = yield instance.getMainComponentAsync();
+                if (mainComponent && !mainComponent.remote && !found.has(mainComponent.id)) {
+                    found.set(mainComponent.id, mainComponent);
+                    queue.push(mainComponent);
+                }
+            }
+        }
+        return Array.from(found.values());
+    });
+}
+// Collect the instances inside the roots that sit `depth` instances deep (0: not inside another instance)
+function collectInstances(roots, depth) {
+    const found = new Map();
+    for (const root of roots) {
+        const instances = 'findAllWithCriteria' in root ? root.findAllWithCriteria({ types: ['INSTANCE'] }) : [];
+        for (const instance of root.type === 'INSTANCE' ? [root, ...instances] : instances) {
+            if (!found.has(instance.id) && getNestingDepth(instance, root) === depth) {
+                found.set(instance.id, instance);
+            }
+        }
+    }
+    return Array.from(found.values());
+}
+// Number of instances between a node and the root it was found in, counting the root itself
+function getNestingDepth(node, root) {
+    let depth = 0;
+    let parent = node === root ? null : node.parent;
+    while (parent) {
+        if (parent.type === 'INSTANCE') {
+            depth++;
+        }
+        if (parent === root)
+            break;
+        parent = parent.parent;
+    }
+    return depth;
+}
+// Import a component once per run, remembering failures so we don't retry them
+function importComponentCached(cache, key) {
+    return __awaiter(this, void 0, void 0, function* () {
+        if (!cache.has(key)) {
+            try {
+                cache.set(key, yield figma.importComponentByKeyAsync(key));
+            }
+            catch (err) {
+                console.error('Error importing component:', key, err);
+                cache.set(key, null);
+            }
+        }
+        return cache.get(key) || null;
+    });
+}
+// Import a component set by key and return its default variant, cached alongside importComponentCached
+function importDefaultVariantCached(cache, key) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const cacheKey = `set:${key}`;
+        if (!cache.has(cacheKey)) {
+            try {
+                cache.set(cacheKey, (yield figma.importComponentSetByKeyAsync(key)).defaultVariant);
+            }
+            catch (err) {
+                console.error('Error importing component set:', key, err);
+                cache.set(cacheKey, null);
+            }
+        }
+        return cache.get(cacheKey) || null;
+    });
+}
+// Find the rule that applies to an old property value, preferring value-specific rules
+function findPropertyRule(rules, name, value) {
+    const matching = rules.filter((rule) => rule.fromName === name);
+    return matching.find((rule) => rule.fromValue && rule.fromValue === String(value))
+        || matching.find((rule) => !rule.fromValue);
+}
+// Convert a property value to the type the target property expects
+function convertPropertyValue(value, type) {
+    if (type === 'BOOLEAN') {
+        return typeof value === 'boolean' ? value : value.toLowerCase() === 'true';
+    }
+    return String(value);
+}
+// Re-apply variant choices and overridden properties on a swapped instance. Variant choices without
+// a rule only carry over when the target was a component set; an explicit variant target keeps its own.
+// Returns the names of old properties that could not be carried over.
+function carryOverProperties(instance, previousProperties, previousDefinitions, newDefinitions, rules, targetIsSet) {
+    var _a, _b;
+    const dropped = [];
+    const updates = {};
+    const newKeys = Object.keys(instance.componentProperties);
+    for (const key of Object.keys(previousProperties)) {
+        const name = getPropertyName(key);
+        const { type, value } = previousProperties[key];
+        const rule = findPropertyRule(rules, name, value);
+        // Without a rule, only carry variant choices into a component set and values that were overridden
+        const previousDefault = (_a = previousDefinitions[name]) === null || _a === void 0 ? void 0 : _a.defaultValue;
+        if (!rule && (type === 'VARIANT' ? !targetIsSet : value === previousDefault)) {
+            continue;
+        }
+        const targetName = rule ? rule.toName : name;
+        const targetKey = newKeys.find((newKey) => getPropertyName(newKey) === targetName);
+        const definition = newDefinitions[targetName];
+        if (!targetKey || !definition) {
+            // An unmapped variant the new component doesn't have is expected, not a loss
+            if (rule || type !== 'VARIANT') {
+                dropped.push(name);
+            }
+            continue;
+        }
+        const targetValue = convertPropertyValue((rule === null || rule === void 0 ? void 0 : rule.toValue) || value, definition.type);
+        if (definition.type === 'VARIANT' && !((_b = definition.variantOptions) === null || _b === void 0 ? void 0 : _b.includes(String(targetValue)))) {
+            dropped.push(name);
+            continue;
+        }
+        if (!rule && definition.type !== type) {
+            dropped.push(name);
+            continue;
+        }
+        updates[targetKey] = targetValue;
+    }
+    for (const key of setPropertiesSafely(instance, updates)) {
+        dropped.push(getPropertyName(key));
+    }
+    return dropped;
+}
+// Set instance properties, returning the keys that could not be set
+function setPropertiesSafely(instance, updates) {
+    const failed = [];
+    if (Object.keys(updates).length === 0) {
+        return failed;
+    }
+    try {
+        instance.setProperties(updates);
+    }
+    catch (_err) {
+        // Fall back to one property at a time so a single bad value doesn't lose the rest
+        for (const key of Object.keys(updates)) {
+            try {
+                instance.setProperties({ [key]: updates[key] });
+            }
+            catch (err) {
+                console.log('Could not set property:', key, err);
+                failed.push(key);
+            }
+        }
+    }
+    return failed;
+}
+// Flatten componentProperties into the { key: value } shape setProperties accepts
+function getPropertyValues(properties) {
+    const values = {};
+    for (const key of Object.keys(properties)) {
+        values[key] = properties[key].value;
+    }
+    return values;
+}
+// Swap every instance of an old component for its mapped replacement. With includeNested, instances
+// inside other instances and inside the local main components they use are migrated as well
+function applyMigration(mappings, scope, set, includeNested) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const resultsByOldKey = new Map();
+            const mappingsByOldKey = new Map();
+            for (const mapping of mappings) {
+                const oldKey = formatComponentKey(mapping.oldKey);
+                if (!resultsByOldKey.has(oldKey)) {
+                    mappingsByOldKey.set(oldKey, mapping);
+                    resultsByOldKey.set(oldKey, {
+                        oldKey: mapping.oldKey,
+                        newKey: mapping.newKey,
+                        oldName: mapping.oldName,
+                        newName: mapping.newName,
+                        swapped: 0,
+                        detached: 0,
+                        removed: 0,
+                        skipped: 0,
+                        failed: 0,
+                        errors: [],
+                        droppedProperties: [],
+                        nodeReports: []
+                    });
+                }
+            }
+            // Outer instances go first. Swapping one replaces its children, so each level of nesting is
+            // collected again after the level above it has been swapped
+            const roots = yield getScopeRoots(scope);
+            if (includeNested) {
+                roots.unshift(...yield findLocalMainComponents(roots));
+            }
+            const componentCache = new Map();
+            const logEntries = [];
+            for (let depth = 0; depth <= (includeNested ? MAX_NESTING_DEPTH : 0); depth++) {
+                const instances = collectInstances(roots, depth);
+                if (instances.length === 0)
+                    break;
+                // Resolve every main component and record overrides before anything at this level changes
+                const matches = [];
+                for (const instance of instances) {
+                    const mainComponent = yield instance.getMainComponentAsync();
+                    if (!mainComponent)
+                        continue;
+                    // A mapping for the exact variant wins over a conditional mapping for its whole component set
+                    const setKey = getComponentSetKey(mainComponent);
+                    const matchedKey = resultsByOldKey.has(mainComponent.key) ? mainComponent.key : setKey;
+                    const result = matchedKey ? resultsByOldKey.get(matchedKey) : undefined;
+                    if (result) {
+                        matches.push({
+                            instance,
+                            result,
+                            mapping: mappingsByOldKey.get(matchedKey),
+                            previousComponent: mainComponent,
+                            previousProperties: instance.componentProperties,
+                            previousDefinitions: getComponentProperties(mainComponent),
+                            overrides: yield captureOverrides(instance, mainComponent)
+                        });
+                    }
+                }
+                for (const match of matches) {
+                    const entry = yield migrateInstance(match, componentCache);
+                    if (entry) {
+                        logEntries.push(entry);
+                    }
+                }
+            }
+            // Make the whole run a single undo step
+            figma.commitUndo();
+            // The swaps are done by now, so failing to log them must not turn the run into a failure
+            let runId = null;
+            let warning;
+            if (logEntries.length > 0) {
+                try {
+                    runId = recordMigrationRun(scope, logEntries);
+                }
+                catch (err) {
+                    console.error('Error logging migration run:', err);
+                    warning = 'The run could not be saved to the run history, so it can only be reverted with Figma undo';
+                }
+            }
+            const results = Array.from(resultsByOldKey.values());
+            const migrated = results.reduce((sum, r) => sum + r.swapped + r.detached + r.removed, 0);
+            const status = loadDocumentStatus();
+            status.appliedSet = set;
+            status.appliedAt = Date.now();
+            status.migratedTotal += migrated;
+            yield recordDocumentStatus(status, mappings, set);
+            postToUI({
+                type: 'migrationResult',
+                success: true,
+                scope,
+                runId,
+                warning,
+                results,
+                swapped: results.reduce((sum, r) => sum + r.swapped, 0),
+                detached: results.reduce((sum, r) => sum + r.detached, 0),
+                removed: results.reduce((sum, r) => sum + r.removed, 0),
+                skipped: results.reduce((sum, r) => sum + r.skipped, 0),
+                failed: results.reduce((sum, r) => sum + r.failed, 0)
+            });
+        }
+        catch (err) {
+            console.error('Error applying migration:', err);
+            postToUI({
+                type: 'migrationResult',
+                success: false,
+                scope,
+                results: [],
+                swapped: 0,
+                detached: 0,
+                removed: 0,
+                skipped: 0,
+                failed: 0,
+                error: 'Failed to apply migration'
+            });
+        }
+    });
+}
+// Swap, detach or remove one matched instance. Returns the run log entry for a swap
+function migrateInstance(match, componentCache) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const { instance, result, mapping, previousComponent, previousProperties, previousDefinitions } = match;
+        if (instance.removed) {
+            result.skipped++;
+            return null;
+        }
+        const type = mapping.type || 'replace';
+        if (type === 'detach' || type === 'remove') {
+            removeOrDetachInstance(instance, type, result);
+            return null;
+        }
+        const target = type === 'conditional' ? findConditionalTarget(mapping, previousProperties) : mapping.newKey;
+        const newKey = formatComponentKey(target);
+        // Nothing to do for self-mappings or conditional mappings with no matching branch
+        if (!newKey || newKey === previousComponent.key) {
+            result.skipped++;
+            return null;
+        }
+        // A component set key swaps to the set's default variant and then picks variants like the old instance
+        const variant = yield importComponentCached(componentCache, newKey);
+        const newComponent = variant || (yield importDefaultVariantCached(componentCache, newKey));
+        if (!newComponent) {
+            result.failed++;
+            if (!result.errors.some((error) => error.includes(newKey))) {
+                result.errors.push(`Could not import component with key: ${newKey}`);
+            }
+            return null;
+        }
+        try {
+            instance.swapComponent(newComponent);
+            result.swapped++;
+        }
+        catch (err) {
+            console.error('Error swapping instance:', instance.id, err);
+            result.failed++;
+            result.errors.push(`Could not swap "${instance.name}" (${instance.id})`);
+            return null;
+        }
+        const dropped = carryOverProperties(instance, previousProperties, previousDefinitions, getComponentProperties(newComponent), mapping.propertyMap || [], !variant);
+        for (const name of dropped) {
+            if (!result.droppedProperties.includes(name)) {
+                result.droppedProperties.push(name);
+            }
+        }
+        // Layers are restored after properties so they land in the variant the properties picked
+        const lost = dropped.map((name) => `Property "${name}"`);
+        lost.push(...yield restoreOverrides(instance, match.overrides, mapping.layerMap || []));
+        if (lost.length > 0) {
+            result.nodeReports.push({ nodeId: instance.id, nodeName: instance.name, lost });
+        }
+        return {
+            nodeId: instance.id,
+            previousKey: previousComponent.key,
+            previousComponentId: previousComponent.id,
+            previousProperties: getPropertyValues(previousProperties),
+            previousOverrides: match.overrides.map(toLoggedOverride)
+        };
+    });
+}
+function toLoggedOverride(override) {
+    const { swapTo } = override, logged = __rest(override, ["swapTo"]);
+    return swapTo ? Object.assign(Object.assign({}, logged), { swapToKey: swapTo.key, swapToId: swapTo.id }) : logged;
+}
+// Path of a layer inside an instance, from the instance down ("" for the instance itself)
+function getLayerPath(node, instance) {
+    const names = [];
+    let current = node;
+    while (current && current !== instance) {
+        names.unshift(current.name);
+        current = current.parent;
+    }
+    return names.join(LAYER_PATH_SEPARATOR);
+}
+// Find a layer by path, taking the first layer with each name
+function findLayerByPath(root, path) {
+    let node = root;
+    for (const name of splitLayerPath(path)) {
+        const children = node && 'children' in node ? node.children : [];
+        node = children.find((child) => child.name === name) || null;
+    }
+    return node;
+}
+// Record the text, fill and nested instance swap overrides on an instance's layers
+function captureOverrides(instance, mainComponent) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const overridden = new Map();
+        for (const override of instance.overrides) {
+            overridden.set(override.id, override.overriddenFields);
+        }
+        const captured = [];
+        for (const node of [instance, ...instance.findAll()]) {
+            const path = getLayerPath(node, instance);
+            const override = { path };
+            const fields = overridden.get(node.id) || [];
+            if (node.type === 'TEXT' && fields.includes('characters')) {
+                override.characters = node.characters;
+            }
+            if ('fills' in node && node.fills !== figma.mixed) {
+                if (fields.includes('fillStyleId') && typeof node.fillStyleId === 'string' && node.fillStyleId) {
+                    override.fillStyleId = node.fillStyleId;
+                }
+                else if (fields.includes('fills')) {
+                    override.fills = node.fills;
+                }
+            }
+            // Swaps aren't listed as overridden fields, so compare with the same layer in the main component
+            if (node.type === 'INSTANCE' && node !== instance) {
+                const current = yield node.getMainComponentAsync();
+                const original = findLayerByPath(mainComponent, path);
+                const originalComponent = original && original.type === 'INSTANCE' ? yield original.getMainComponentAsync() : null;
+                if (current && originalComponent && current.id !== originalComponent.id) {
+                    override.swapTo = current;
+                }
+            }
+            if (override.characters !== undefined || override.fills || override.fillStyleId || override.swapTo) {
+                captured.push(override);
+            }
+        }
+        return captured;
+    });
+}
+// Put recorded overrides back on a swapped instance, following the mapping's layer rules.
+// Returns a description of each override that couldn't be restored
+function restoreOverrides(instance, overrides, rules) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const lost = [];
+        const describeLayer = (path) => `"${path || instance.name}"`;
+        // Nested swaps first: they replace the layers the other overrides may be on
+        const ordered = overrides.filter((o) => o.swapTo).concat(overrides.filter((o) => !o.swapTo));
+        for (const override of ordered) {
+            const path = mapLayerPath(override.path, rules);
+            const node = findLayerByPath(instance, path);
+            const kinds = [
+                override.swapTo ? `Swap to ${override.swapTo.name}` : '',
+                override.characters !== undefined ? 'Text' : '',
+                override.fills || override.fillStyleId ? 'Fill' : ''
+            ].filter((kind) => kind);
+            if (!node) {
+                lost.push(`${kinds.join(', ')} on ${describeLayer(override.path)}: no layer ${describeLayer(path)} in the new component`);
+                continue;
+            }
+            if (override.swapTo) {
+                try {
+                    const current = node.type === 'INSTANCE' ? yield node.getMainComponentAsync() : null;
+                    if (node.type !== 'INSTANCE') {
+                        lost.push(`Swap to ${override.swapTo.name} on ${describeLayer(path)}: layer is not an instance`);
+                    }
+                    else if (!current || current.id !== override.swapTo.id) {
+                        node.swapComponent(override.swapTo);
+                    }
+                }
+                catch (err) {
+                    console.error('Error restoring nested swap:', node.id, err);
+                    lost.push(`Swap to ${override.swapTo.name} on ${describeLayer(path)}`);
+                }
+            }
+            if (override.characters !== undefined) {
+                if (node.type !== 'TEXT') {
+                    lost.push(`Text on ${describeLayer(path)}: layer is not a text layer`);
+                }
+                else if (node.characters !== override.characters) {
+                    try {
+                        yield loadFontsOf(node);
+                        node.characters = override.characters;
+                    }
+                    catch (err) {
+                        console.error('Error restoring text:', node.id, err);
+                        lost.push(`Text on ${describeLayer(path)}: font could not be loaded`);
+                    }
+                }
+            }
+            if (override.fills || override.fillStyleId) {
+                try {
+                    if (!('fills' in node)) {
+                        lost.push(`Fill on ${describeLayer(path)}: layer has no fills`);
+                    }
+                    else if (override.fillStyleId) {
+                        yield node.setFillStyleIdAsync(override.fillStyleId);
+                    }
+                    else if (override.fills) {
+                        node.fills = override.fills;
+                    }
+                }
+                catch (err) {
+                    console.error('Error restoring fill:', node.id, err);
+                    lost.push(`Fill on ${describeLayer(path)}`);
+                }
+            }
+        }
+        return lost;
+    });
+}
+// Load every font used in a text layer so its characters can be changed
+function loadFontsOf(node) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const fonts = node.characters.length > 0
+            ? node.getRangeAllFontNames(0, node.characters.length)
+            : [node.fontName];
+        for (const font of fonts) {
+            yield figma.loadFontAsync(font);
+        }
+    });
+}
+// Pick the target of a conditional mapping from the instance's property values; the first matching branch wins
+function findConditionalTarget(mapping, properties) {
+    for (const condition of mapping.conditions || []) {
+        const matches = Object.keys(properties).some((propertyKey) => getPropertyName(propertyKey) === condition.property &&
+            String(properties[propertyKey].value) === condition.value);
+        if (matches) {
+            return condition.newKey;
+        }
+    }
+    return mapping.newKey;
+}
+// Detach or delete an instance that has no replacement. These aren't logged for rollback:
+// a detached frame can't be swapped back, so Figma's undo is the way to restore them
+function removeOrDetachInstance(instance, type, result) {
+    // Layers inside another instance can't be detached or deleted on their own
+    if (isInsideInstance(instance)) {
+        result.skipped++;
+        if (!result.errors.some((error) => error.startsWith('Skipped nested'))) {
+            result.errors.push('Skipped nested instances: detach or remove the instance that contains them instead');
+        }
+        return;
+    }
+    try {
+        if (type === 'detach') {
+            instance.detachInstance();
+            result.detached++;
+        }
+        else {
+            instance.remove();
+            result.removed++;
+        }
+    }
+    catch (err) {
+        console.error(`Error trying to ${type} instance:`, instance.id, err);
+        result.failed++;
+        result.errors.push(`Could not ${type} "${instance.name}" (${instance.id})`);
+    }
+}
+function isInsideInstance(node) {
+    let parent = node.parent;
+    while (parent && parent.type !== 'PAGE' && parent.type !== 'DOCUMENT') {
+        if (parent.type === 'INSTANCE') {
+            return true;
+        }
+        parent = parent.parent;
+    }
+    return false;
+}
+// Read the run log stored on the document
+function loadMigrationRuns() {
+    try {
+        const saved = figma.root.getPluginData(RUN_LOG_KEY);
+        return saved ? JSON.parse(saved) : [];
+    }
+    catch (err) {
+        console.error('Error reading migration runs:', err);
+        return [];
+    }
+}
+// Where a run's entries are stored, chunked
+function getRunKey(runId) {
+    return `migrationRun.${runId}`;
+}
+function loadRunEntries(run) {
+    if (run.entries) {
+        return run.entries;
+    }
+    const saved = readChunked(getPrivateData(), getRunKey(run.id));
+    return saved ? JSON.parse(saved) : [];
+}
+// Save the run list, moving inline entries to their own keys and dropping the oldest runs
+// past MAX_LOGGED_RUNS or MAX_RUN_LOG_LENGTH. The newest run is always kept
+function saveMigrationRuns(runs) {
+    const store = getPrivateData();
+    for (const run of runs) {
+        if (run.entries) {
+            const value = JSON.stringify(run.entries);
+            writeChunked(store, getRunKey(run.id), value);
+            run.swapped = run.entries.length;
+            run.length = value.length;
+            delete run.entries;
+        }
+    }
+    const kept = [];
+    let total = 0;
+    for (const run of [...runs].reverse()) {
+        total += run.length;
+        if (kept.length > 0 && (kept.length >= MAX_LOGGED_RUNS || total > MAX_RUN_LOG_LENGTH)) {
+            deleteChunked(store, getRunKey(run.id));
+            continue;
+        }
+        kept.unshift(run);
+    }
+    store.set(RUN_LOG_KEY, JSON.stringify(kept));
+}
+// Append a run to the log and return its id
+function recordMigrationRun(scope, entries) {
+    const runs = loadMigrationRuns();
+    const run = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        timestamp: Date.now(),
+        scope,
+        pageName: scope === 'file' ? 'All pages' : figma.currentPage.name,
+        swapped: entries.length,
+        length: 0
+    };
+    const store = getPrivateData();
+    const value = JSON.stringify(entries);
+    try {
+        writeChunked(store, getRunKey(run.id), value);
+        run.length = value.length;
+        runs.push(run);
+        saveMigrationRuns(runs);
+    }
+    catch (err) {
+        deleteChunked(store, getRunKey(run.id));
+        throw err;
+    }
+    postMigrationRuns();
+    return run.id;
+}
+// Send run summaries (without the per-node entries) to the UI
+function postMigrationRuns() {
+    const runs = loadMigrationRuns().map((run) => ({
+        id: run.id,
+        timestamp: run.timestamp,
+        scope: run.scope,
+        pageName: run.pageName,
+        swapped: run.entries ? run.entries.length : run.swapped,
+        rolledBackAt: run.rolledBackAt || null
+    }));
+    postToUI({
+        type: 'migrationRuns',
+        runs: runs.reverse()
     });
 }
-// Get component key from a node
-function getComponentKey(node) {
-    var _a, _b;
-    if (node.type === 'COMPONENT') {
-        // Get the full component key including file key
-        return node.key;
-    }
-    else if (node.type === 'INSTANCE') {
-        // Use the new async method to avoid deprecation warning
-        const mainComponentId = (_a = node.mainComponent) === null || _a === void 0 ? void 0 : _a.id;
-        if (mainComponentId) {
-            // For now, return the component key if available
-            return ((_b = node.mainComponent) === null || _b === void 0 ? void 0 : _b.key) || null;
+// Find a component recorded in the run log: by key, or by id for unpublished local components
+function findLoggedComponent(cache, key, id) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const imported = yield importComponentCached(cache, key);
+        if (imported) {
+            return imported;
         }
-    }
-    return null;
+        const node = yield figma.getNodeByIdAsync(id);
+        return node && node.type === 'COMPONENT' ? node : null;
+    });
 }
-function clearSelection() {
-    figma.currentPage.selection = [];
+// Turn logged overrides back into ones restoreOverrides can apply.
+// A nested swap whose component can't be found is left out and described in lost
+function loadLoggedOverrides(cache, logged, lost) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const overrides = [];
+        for (let _a of logged) {
+            const { swapToKey, swapToId } = _a, override = __rest(_a, ["swapToKey", "swapToId"]);
+            const swapTo = swapToKey !== undefined ? yield findLoggedComponent(cache, swapToKey, swapToId || '') : null;
+            if (swapToKey !== undefined && !swapTo) {
+                lost.push(`Nested swap on "${override.path}": component not found`);
+            }
+            overrides.push(swapTo ? Object.assign(Object.assign({}, override), { swapTo }) : override);
+        }
+        return overrides;
+    });
 }
-// Insert components by their keys
-function insertComponentsByKeys(keys) {
+// Swap every instance touched by a run back to its previous component, properties and layer overrides
+function rollbackRun(runId) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
-            const insertedComponents = [];
-            const errors = [];
-            // Get cursor position or use viewport center
-            const viewportCenter = figma.viewport.center;
-            let currentX = viewportCenter.x;
-            let currentY = viewportCenter.y;
-            for (const key of keys) {
+            const runs = loadMigrationRuns();
+            const run = runs.find((r) => r.id === runId);
+            if (!run || run.rolledBackAt) {
+                postToUI({
+                    type: 'rollbackResult',
+                    success: false,
+                    restored: 0,
+                    failed: 0,
+                    error: run ? 'This run was already rolled back' : 'Migration run not found'
+                });
+                return;
+            }
+            const componentCache = new Map();
+            let restored = 0;
+            let failed = 0;
+            let incomplete = 0;
+            // Undo in reverse order so nested swaps unwind the way they were applied
+            for (const entry of [...loadRunEntries(run)].reverse()) {
+                const node = yield figma.getNodeByIdAsync(entry.nodeId);
+                if (!node || node.type !== 'INSTANCE') {
+                    failed++;
+                    continue;
+                }
+                const previousComponent = yield findLoggedComponent(componentCache, entry.previousKey, entry.previousComponentId);
+                if (!previousComponent) {
+                    failed++;
+                    continue;
+                }
                 try {
-                    // Format the component key
-                    const formattedKey = formatComponentKey(key);
-                    // Import the component
-                    const component = yield figma.importComponentByKeyAsync(formattedKey);
-                    if (component) {
-                        // Create instance
-                        const instance = component.createInstance();
-                        // Position the instance
-                        instance.x = currentX;
-                        instance.y = currentY;
-                        // Add to inserted components
-                        insertedComponents.push(instance);
-                        // Move position for next component (stack horizontally)
-                        currentX += instance.width + 20;
-                        // If we've gone too far right, move to next row
-                        if (currentX > viewportCenter.x + 400) {
-                            currentX = viewportCenter.x;
-                            currentY += instance.height + 20;
-                        }
-                    }
-                    else {
-                        errors.push(`Could not import component with key: ${key}`);
-                    }
+                    node.swapComponent(previousComponent);
                 }
-                catch (error) {
-                    console.error('Error importing component:', key, error);
-                    errors.push(`Invalid component key: ${key}`);
+                catch (err) {
+                    console.error('Error restoring instance:', entry.nodeId, err);
+                    failed++;
+                    continue;
                 }
+                // Layers go back after properties, as in migrateInstance. Their paths are the previous component's, so no layer rules apply
+                setPropertiesSafely(node, entry.previousProperties);
+                const lost = [];
+                const overrides = yield loadLoggedOverrides(componentCache, entry.previousOverrides || [], lost);
+                lost.push(...yield restoreOverrides(node, overrides, []));
+                if (lost.length > 0) {
+                    console.log('Could not restore overrides on', entry.nodeId, lost);
+                    incomplete++;
+                }
+                restored++;
             }
-            // Select all inserted components
-            if (insertedComponents.length > 0) {
-                figma.currentPage.selection = insertedComponents;
-                figma.viewport.scrollAndZoomIntoView(insertedComponents);
+            figma.commitUndo();
+            run.rolledBackAt = Date.now();
+            try {
+                saveMigrationRuns(runs);
             }
-            // Send result back to UI
-            figma.ui.postMessage({
-                type: 'componentInsertionResult',
-                success: insertedComponents.length > 0,
-                insertedCount: insertedComponents.length,
-                errorCount: errors.length,
-                errors: errors
+            catch (err) {
+                console.error('Error logging rollback:', err);
+            }
+            postMigrationRuns();
+            // Restored instances count as legacy again; remaining counts catch up on the next scan
+            const status = loadDocumentStatus();
+            if (figma.root.getPluginData(MIGRATION_STATUS_KEY)) {
+                status.migratedTotal = Math.max(0, status.migratedTotal - restored);
+                figma.root.setPluginData(MIGRATION_STATUS_KEY, JSON.stringify(status));
+                yield postProgressIndex();
+            }
+            postToUI({
+                type: 'rollbackResult',
+                success: true,
+                restored,
+                failed,
+                incomplete
             });
         }
-        catch (error) {
-            console.error('Error in insertComponentsByKeys:', error);
-            figma.ui.postMessage({
-                type: 'componentInsertionResult',
+        catch (err) {
+            console.error('Error rolling back run:', err);
+            postToUI({
+                type: 'rollbackResult',
                 success: false,
-                insertedCount: 0,
-                errorCount: 1,
-                errors: ['Failed to insert components']
+                restored: 0,
+                failed: 0,
+                error: 'Failed to roll back migration run'
             });
         }
     });
 }
-// Get a readable component name
-function getComponentName(node) {
-    var _a, _b, _c;
-    if (node.type === 'COMPONENT' || node.type === 'INSTANCE') {
-        let name = node.name;
-        // If it's an instance, try to get the main component name
-        if (node.type === 'INSTANCE' && node.mainComponent) {
-            name = node.mainComponent.name;
+// Find a component set by id, falling back to importing it by key
+function findComponentSet(info) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const node = yield figma.getNodeByIdAsync(info.id);
+        if (node && node.type === 'COMPONENT_SET') {
+            return node;
+        }
+        try {
+            return yield figma.importComponentSetByKeyAsync(info.key);
+        }
+        catch (err) {
+            console.error('Error importing component set:', info.key, err);
+            return null;
         }
-        // Extract base name from variant syntax (e.g., "Button/Primary" from complex variant names)
-        // First, check if it's a variant with properties
-        if (name.includes('=')) {
-            // This is a variant, try to get the parent component set name
-            // Sometimes Figma includes the component set name at the beginning
-            if (node.type === 'INSTANCE' && ((_b = (_a = node.mainComponent) === null || _a === void 0 ? void 0 : _a.parent) === null || _b === void 0 ? void 0 : _b.type) === 'COMPONENT_SET') {
-                name = node.mainComponent.parent.name;
+    });
+}
+function getVariants(componentSet) {
+    return componentSet.children
+        .filter((child) => child.type === 'COMPONENT')
+        .map((variant) => (Object.assign({ key: variant.key, variantName: variant.name }, getComponentDetails(variant))));
+}
+// Rename variant properties/values through the rule table
+function translateVariantProperties(properties, rules) {
+    const translated = {};
+    for (const name of Object.keys(properties)) {
+        const rule = findPropertyRule(rules, name, properties[name]);
+        translated[rule ? rule.toName : name] = (rule === null || rule === void 0 ? void 0 : rule.toValue) || properties[name];
+    }
+    return translated;
+}
+function sameValue(a, b) {
+    return a !== undefined && b !== undefined && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+// Pick the new variant that agrees with every translated property the new set has.
+// Properties only the new set has are settled by preferring its default variant's values;
+// anything still tied is left for manual resolution.
+function findVariantMatch(translated, candidates, defaults) {
+    let best = null;
+    let bestScore = -1;
+    let tied = false;
+    for (const candidate of candidates) {
+        const candidateProps = candidate.variantProperties || {};
+        let matches = 0;
+        let defaultMatches = 0;
+        let conflict = false;
+        for (const name of Object.keys(candidateProps)) {
+            if (name in translated) {
+                if (sameValue(translated[name], candidateProps[name])) {
+                    matches++;
+                }
+                else {
+                    conflict = true;
+                    break;
+                }
             }
-            else if (node.type === 'COMPONENT' && ((_c = node.parent) === null || _c === void 0 ? void 0 : _c.type) === 'COMPONENT_SET') {
-                name = node.parent.name;
+            else if (sameValue(defaults[name], candidateProps[name])) {
+                defaultMatches++;
             }
         }
-        // Store variant properties separately for tooltip
-        let variantProps = '';
-        if ('variantProperties' in node && node.variantProperties) {
-            const props = Object.keys(node.variantProperties)
-                .map((key) => `${key}=${node.variantProperties[key]}`)
-                .join(', ');
-            if (props) {
-                variantProps = props;
-            }
+        if (conflict || matches === 0)
+            continue;
+        const score = matches * 1000 + defaultMatches;
+        if (score > bestScore) {
+            best = candidate;
+            bestScore = score;
+            tied = false;
+        }
+        else if (score === bestScore) {
+            tied = true;
         }
-        // Return clean name with variant properties as metadata
-        return variantProps ? `${name}|${variantProps}` : name;
     }
-    return node.name;
+    return tied ? null : best;
 }
-// Copy selected component key to clipboard
-function copySelectedComponentKey() {
+// Pair each variant of the old set with a variant of the new set
+function pairComponentSets(oldSetInfo, newSetInfo, rules) {
     return __awaiter(this, void 0, void 0, function* () {
-        const selection = figma.currentPage.selection;
-        if (selection.length === 0) {
-            figma.ui.postMessage({
-                type: 'keyCopied',
-                success: false,
-                error: 'No component selected'
+        var _a;
+        try {
+            const oldSet = yield findComponentSet(oldSetInfo);
+            const newSet = yield findComponentSet(newSetInfo);
+            if (!oldSet || !newSet) {
+                postToUI({
+                    type: 'componentSetPairs',
+                    success: false,
+                    error: `Could not load the ${oldSet ? 'new' : 'old'} component set`
+                });
+                return;
+            }
+            const newVariants = getVariants(newSet);
+            const defaults = ((_a = newSet.defaultVariant) === null || _a === void 0 ? void 0 : _a.variantProperties) || {};
+            const pairs = getVariants(oldSet).map((oldVariant) => ({
+                old: oldVariant,
+                new: findVariantMatch(translateVariantProperties(oldVariant.variantProperties || {}, rules), newVariants, defaults)
+            }));
+            postToUI({
+                type: 'componentSetPairs',
+                success: true,
+                oldSet: Object.assign(Object.assign({}, oldSetInfo), { key: oldSet.key, name: oldSet.name }),
+                newSet: Object.assign(Object.assign({}, newSetInfo), { key: newSet.key, name: newSet.name }),
+                pairs,
+                newVariants
             });
-            return;
         }
-        const componentKey = getComponentKey(selection[0]);
-        if (!componentKey) {
-            figma.ui.postMessage({
-                type: 'keyCopied',
+        catch (err) {
+            console.error('Error pairing component sets:', err);
+            postToUI({
+                type: 'componentSetPairs',
                 success: false,
-                error: 'Selected node is not a component'
+                error: 'Failed to pair component set variants'
             });
-            return;
         }
-        figma.ui.postMessage({
-            type: 'keyCopied',
-            success: true,
-            key: componentKey
-        });
     });
 }
-// Generate visual comparison frames
-function generateVisualComparison(mappings) {
+// Describe a component for suggestion scoring
+function toSuggestionCandidate(component) {
+    var _a;
+    const details = getComponentDetails(component);
+    const componentSet = ((_a = component.parent) === null || _a === void 0 ? void 0 : _a.type) === 'COMPONENT_SET' ? component.parent : null;
+    return Object.assign({ key: component.key, fullName: componentSet ? componentSet.name : component.name, width: component.width, height: component.height }, details);
+}
+// Every component a page offers as a replacement: its own components and those its instances use
+function collectCandidateComponents(page) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield page.loadAsync();
+        const candidates = new Map();
+        for (const component of page.findAllWithCriteria({ types: ['COMPONENT'] })) {
+            candidates.set(component.key, toSuggestionCandidate(component));
+        }
+        for (const instance of page.findAllWithCriteria({ types: ['INSTANCE'] })) {
+            const mainComponent = yield instance.getMainComponentAsync();
+            if (mainComponent && !candidates.has(mainComponent.key)) {
+                candidates.set(mainComponent.key, toSuggestionCandidate(mainComponent));
+            }
+        }
+        return Array.from(candidates.values());
+    });
+}
+// Lowercase alphanumeric words, so "Button / Primary-Large" and "button/primary large" compare equal
+function normalizeWords(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+// Dice coefficient over character bigrams
+function textSimilarity(a, b) {
+    const left = normalizeWords(a).replace(/ /g, '');
+    const right = normalizeWords(b).replace(/ /g, '');
+    if (!left || !right)
+        return 0;
+    if (left === right)
+        return 1;
+    const bigrams = new Map();
+    for (let i = 0; i < left.length - 1; i++) {
+        const bigram = left.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    let overlap = 0;
+    for (let i = 0; i < right.length - 1; i++) {
+        const bigram = right.slice(i, i + 2);
+        const count = bigrams.get(bigram) || 0;
+        if (count > 0) {
+            overlap++;
+            bigrams.set(bigram, count - 1);
+        }
+    }
+    return (2 * overlap) / (left.length - 1 + right.length - 1) || 0;
+}
+function jaccard(a, b) {
+    const left = new Set(a);
+    const right = new Set(b);
+    if (left.size === 0 && right.size === 0)
+        return 0;
+    const shared = Array.from(left).filter((item) => right.has(item)).length;
+    return shared / (left.size + right.size - shared);
+}
+// Score how likely a new component replaces an old one, from 0 to 1
+function scoreSuggestion(oldComponent, newComponent) {
+    const baseName = (name) => name.split('/').pop() || name;
+    const segments = (name) => name.split('/').map(normalizeWords).filter(Boolean);
+    const variantPairs = (props) => Object.keys(props || {}).map((key) => `${normalizeWords(key)}=${normalizeWords(props[key])}`);
+    const name = textSimilarity(baseName(oldComponent.fullName), baseName(newComponent.fullName));
+    const path = jaccard(segments(oldComponent.fullName), segments(newComponent.fullName));
+    // Two components without variants are neither similar nor different on this measure
+    const bothPlain = !oldComponent.variantProperties && !newComponent.variantProperties;
+    const variants = bothPlain ? 0.5 : jaccard(variantPairs(oldComponent.variantProperties), variantPairs(newComponent.variantProperties));
+    const size = Math.sqrt((Math.min(oldComponent.width, newComponent.width) / Math.max(oldComponent.width, newComponent.width, 1)) *
+        (Math.min(oldComponent.height, newComponent.height) / Math.max(oldComponent.height, newComponent.height, 1)));
+    const score = name * 0.45 + path * 0.2 + variants * 0.2 + size * 0.15;
+    const percent = (value) => `${Math.round(value * 100)}%`;
+    return {
+        score,
+        reasons: [
+            `Name ${percent(name)}`,
+            `Path ${percent(path)}`,
+            bothPlain ? 'No variants' : `Variants ${percent(variants)}`,
+            `Size ${percent(size)}`
+        ]
+    };
+}
+// Suggest the most likely replacement for each old component
+function suggestReplacements(request) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
-            // Load the Inter font FIRST, before creating any text nodes
-            yield figma.loadFontAsync({ family: "Inter", style: "Regular" });
-            yield figma.loadFontAsync({ family: "Inter", style: "Medium" });
-            yield figma.loadFontAsync({ family: "Inter", style: "Bold" });
-            // Create a new frame for the comparison
-            const frame = figma.createFrame();
-            frame.name = "Component Migration Visual";
-            frame.layoutMode = "VERTICAL";
-            frame.layoutAlign = "STRETCH";
-            frame.itemSpacing = 24;
-            frame.paddingLeft = 40;
-            frame.paddingRight = 40;
-            frame.paddingTop = 40;
-            frame.paddingBottom = 40;
-            frame.fills = [{ type: 'SOLID', color: { r: 0.98, g: 0.98, b: 0.98 } }];
-            frame.primaryAxisSizingMode = "AUTO";
-            frame.counterAxisSizingMode = "AUTO";
-            // Position the frame in view
-            frame.x = figma.viewport.center.x - 400;
-            frame.y = figma.viewport.center.y - 300;
-            let hasErrors = false;
-            for (const mapping of mappings) {
-                try {
-                    // Create container for this mapping pair (horizontal layout)
-                    const pairFrame = figma.createFrame();
-                    pairFrame.name = `${mapping.oldName || 'Old'} → ${mapping.newName || 'New'}`;
-                    pairFrame.layoutMode = "HORIZONTAL";
-                    pairFrame.layoutAlign = "STRETCH";
-                    pairFrame.itemSpacing = 32;
-                    pairFrame.paddingLeft = 24;
-                    pairFrame.paddingRight = 24;
-                    pairFrame.paddingTop = 24;
-                    pairFrame.paddingBottom = 24;
-                    pairFrame.fills = [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }];
-                    pairFrame.strokes = [{ type: 'SOLID', color: { r: 0.9, g: 0.9, b: 0.9 } }];
-                    pairFrame.strokeWeight = 1;
-                    pairFrame.cornerRadius = 8;
-                    pairFrame.primaryAxisSizingMode = "AUTO";
-                    pairFrame.counterAxisSizingMode = "AUTO";
-                    // OLD component section
-                    const oldSection = figma.createFrame();
-                    oldSection.name = "OLD";
-                    oldSection.layoutMode = "VERTICAL";
-                    oldSection.layoutAlign = "STRETCH";
-                    oldSection.itemSpacing = 12;
-                    oldSection.primaryAxisSizingMode = "AUTO";
-                    oldSection.counterAxisSizingMode = "AUTO";
-                    // OLD label (RED)
-                    const oldLabel = figma.createText();
-                    oldLabel.characters = "OLD";
-                    oldLabel.fontSize = 12;
-                    oldLabel.fontName = { family: "Inter", style: "Bold" };
-                    oldLabel.fills = [{ type: 'SOLID', color: { r: 0.8, g: 0.2, b: 0.2 } }]; // Red color
-                    oldSection.appendChild(oldLabel);
-                    // OLD component title and key
-                    const oldTitleFrame = figma.createFrame();
-                    oldTitleFrame.layoutMode = "VERTICAL";
-                    oldTitleFrame.layoutAlign = "STRETCH";
-                    oldTitleFrame.itemSpacing = 4;
-                    oldTitleFrame.primaryAxisSizingMode = "AUTO";
-                    oldTitleFrame.counterAxisSizingMode = "AUTO";
-                    // Component name
-                    const oldName = figma.createText();
-                    const oldParts = (mapping.oldName || 'Component').split('|');
-                    const oldCleanName = oldParts[0];
-                    oldName.characters = oldCleanName;
-                    oldName.fontSize = 16;
-                    oldName.fontName = { family: "Inter", style: "Medium" };
-                    oldName.fills = [{ type: 'SOLID', color: { r: 0.1, g: 0.1, b: 0.1 } }];
-                    oldTitleFrame.appendChild(oldName);
-                    // Component key
-                    const oldKeyText = figma.createText();
-                    const oldLibraryName = getLibraryNameFromKey(mapping.oldKey);
-                    oldKeyText.characters = `(${oldLibraryName})`;
-                    oldKeyText.fontSize = 12;
-                    oldKeyText.fontName = { family: "Inter", style: "Regular" };
-                    oldKeyText.fills = [{ type: 'SOLID', color: { r: 0.6, g: 0.6, b: 0.6 } }];
-                    oldTitleFrame.appendChild(oldKeyText);
-                    // Variant properties (if any)
-                    if (oldParts[1]) {
-                        const oldVariantText = figma.createText();
-                        oldVariantText.characters = oldParts[1];
-                        oldVariantText.fontSize = 11;
-                        oldVariantText.fontName = { family: "Inter", style: "Regular" };
-                        oldVariantText.fills = [{ type: 'SOLID', color: { r: 0.5, g: 0.5, b: 0.5 } }];
-                        oldTitleFrame.appendChild(oldVariantText);
-                    }
-                    oldSection.appendChild(oldTitleFrame);
-                    // Try to create instance of OLD component
+            const candidatePage = yield figma.getNodeByIdAsync(request.candidatePageId);
+            if (!candidatePage || candidatePage.type !== 'PAGE') {
+                postToUI({ type: 'replacementSuggestions', success: false, error: 'Choose the page with the new components' });
+                return;
+            }
+            const candidates = yield collectCandidateComponents(candidatePage);
+            const candidateKeys = new Set(candidates.map((c) => c.key));
+            const excludeKeys = new Set(request.excludeKeys.map(formatComponentKey));
+            const oldComponents = new Map();
+            if (request.oldKeys.length > 0) {
+                for (const key of request.oldKeys.map(formatComponentKey)) {
                     try {
-                        const formattedKey = formatComponentKey(mapping.oldKey);
-                        const oldComponent = yield figma.importComponentByKeyAsync(formattedKey);
-                        if (oldComponent) {
-                            const oldInstance = oldComponent.createInstance();
-                            oldSection.appendChild(oldInstance);
-                        }
+                        const component = yield figma.importComponentByKeyAsync(key);
+                        oldComponents.set(component.key, toSuggestionCandidate(component));
                     }
                     catch (err) {
-                        const errorText = figma.createText();
-                        errorText.characters = "⚠️ Component not found";
-                        errorText.fontSize = 12;
-                        errorText.fontName = { family: "Inter", style: "Regular" };
-                        errorText.fills = [{ type: 'SOLID', color: { r: 0.8, g: 0.2, b: 0.2 } }];
-                        oldSection.appendChild(errorText);
-                    }
-                    pairFrame.appendChild(oldSection);
-                    // Arrow container
-                    const arrowContainer = figma.createFrame();
-                    arrowContainer.layoutMode = "VERTICAL";
-                    arrowContainer.layoutAlign = "CENTER";
-                    arrowContainer.primaryAxisAlignItems = "CENTER";
-                    arrowContainer.counterAxisAlignItems = "CENTER";
-                    arrowContainer.primaryAxisSizingMode = "AUTO";
-                    arrowContainer.counterAxisSizingMode = "AUTO";
-                    const arrowText = figma.createText();
-                    arrowText.characters = "→";
-                    arrowText.fontSize = 24;
-                    arrowText.fontName = { family: "Inter", style: "Regular" };
-                    arrowText.fills = [{ type: 'SOLID', color: { r: 0.4, g: 0.4, b: 0.4 } }];
-                    arrowContainer.appendChild(arrowText);
-                    pairFrame.appendChild(arrowContainer);
-                    // NEW component section
-                    const newSection = figma.createFrame();
-                    newSection.name = "NEW";
-                    newSection.layoutMode = "VERTICAL";
-                    newSection.layoutAlign = "STRETCH";
-                    newSection.itemSpacing = 12;
-                    newSection.primaryAxisSizingMode = "AUTO";
-                    newSection.counterAxisSizingMode = "AUTO";
-                    // NEW label (GREEN)
-                    const newLabel = figma.createText();
-                    newLabel.characters = "NEW";
-                    newLabel.fontSize = 12;
-                    newLabel.fontName = { family: "Inter", style: "Bold" };
-                    newLabel.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.6, b: 0.2 } }];
-                    newSection.appendChild(newLabel);
-                    // NEW component title and key
-                    const newTitleFrame = figma.createFrame();
-                    newTitleFrame.layoutMode = "VERTICAL";
-                    newTitleFrame.layoutAlign = "STRETCH";
-                    newTitleFrame.itemSpacing = 4;
-                    newTitleFrame.primaryAxisSizingMode = "AUTO";
-                    newTitleFrame.counterAxisSizingMode = "AUTO";
-                    // Component name
-                    const newName = figma.createText();
-                    const newParts = (mapping.newName || 'Component').split('|');
-                    const newCleanName = newParts[0];
-                    newName.characters = newCleanName;
-                    newName.fontSize = 16;
-                    newName.fontName = { family: "Inter", style: "Medium" };
-                    newName.fills = [{ type: 'SOLID', color: { r: 0.1, g: 0.1, b: 0.1 } }];
-                    newTitleFrame.appendChild(newName);
-                    // Component key
-                    const newKeyText = figma.createText();
-                    const newLibraryName = getLibraryNameFromKey(mapping.newKey);
-                    newKeyText.characters = `(${newLibraryName})`;
-                    newKeyText.fontSize = 12;
-                    newKeyText.fontName = { family: "Inter", style: "Regular" };
-                    newKeyText.fills = [{ type: 'SOLID', color: { r: 0.6, g: 0.6, b: 0.6 } }];
-                    newTitleFrame.appendChild(newKeyText);
-                    // Variant properties (if any)
-                    if (newParts[1]) {
-                        const newVariantText = figma.createText();
-                        newVariantText.characters = newParts[1];
-                        newVariantText.fontSize = 11;
-                        newVariantText.fontName = { family: "Inter", style: "Regular" };
-                        newVariantText.fills = [{ type: 'SOLID', color: { r: 0.5, g: 0.5, b: 0.5 } }];
-                        newTitleFrame.appendChild(newVariantText);
+                        console.log('Could not import old component for suggestions:', key, err);
                     }
-                    newSection.appendChild(newTitleFrame);
-                    // Try to create instance of NEW component
-                    try {
-                        const formattedKey = formatComponentKey(mapping.newKey);
-                        const newComponent = yield figma.importComponentByKeyAsync(formattedKey);
-                        if (newComponent) {
-                            const newInstance = newComponent.createInstance();
-                            newSection.appendChild(newInstance);
-                        }
+                }
+            }
+            else {
+                // Everything on this page that isn't part of the new library and isn't mapped yet
+                for (const instance of figma.currentPage.findAllWithCriteria({ types: ['INSTANCE'] })) {
+                    const mainComponent = yield instance.getMainComponentAsync();
+                    if (mainComponent && !candidateKeys.has(mainComponent.key) && !excludeKeys.has(mainComponent.key)) {
+                        oldComponents.set(mainComponent.key, toSuggestionCandidate(mainComponent));
                     }
-                    catch (err) {
-                        const errorText = figma.createText();
-                        errorText.characters = "⚠️ Component not found";
-                        errorText.fontSize = 12;
-                        errorText.fontName = { family: "Inter", style: "Regular" };
-                        errorText.fills = [{ type: 'SOLID', color: { r: 0.8, g: 0.2, b: 0.2 } }];
-                        newSection.appendChild(errorText);
+                }
+            }
+            const suggestions = [];
+            for (const oldComponent of oldComponents.values()) {
+                let best = null;
+                for (const candidate of candidates) {
+                    if (candidate.key === oldComponent.key)
+                        continue;
+                    const { score, reasons } = scoreSuggestion(oldComponent, candidate);
+                    if (!best || score > best.score) {
+                        best = { old: oldComponent, new: candidate, score, reasons };
                     }
-                    pairFrame.appendChild(newSection);
-                    // Add to main frame
-                    frame.appendChild(pairFrame);
                 }
-                catch (err) {
-                    console.error('Error creating visual for mapping:', err);
-                    hasErrors = true;
+                if (best && best.score >= MIN_SUGGESTION_SCORE) {
+                    suggestions.push(best);
                 }
             }
-            // Select the frame and zoom to it
-            figma.currentPage.selection = [frame];
-            figma.viewport.scrollAndZoomIntoView([frame]);
-            figma.ui.postMessage({
-                type: 'message',
-                text: hasErrors ?
-                    'Visual comparison created with some errors. Some components may not be available.' :
-                    'Visual comparison created successfully!',
-                variant: hasErrors ? 'warning' : 'info',
-                timeout: 3000
+            postToUI({
+                type: 'replacementSuggestions',
+                success: true,
+                suggestions: suggestions.sort((a, b) => b.score - a.score),
+                unmatched: oldComponents.size - suggestions.length
             });
         }
         catch (err) {
-            console.error('Error generating visuals:', err);
-            figma.ui.postMessage({
+            console.error('Error suggesting replacements:', err);
+            postToUI({
+                type: 'replacementSuggestions',
+                success: false,
+                error: 'Failed to suggest replacements'
+            });
+        }
+    });
+}
+// Count instances of mapped and unmapped legacy components on every page
+function scanUsage(mappings, set) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const { rows, totalInstances } = yield countLegacyInstances(mappings);
+            yield recordDocumentStatus(loadDocumentStatus(), mappings, set, rows);
+            postToUI({
+                type: 'scanResult',
+                success: true,
+                rows,
+                totalInstances
+            });
+        }
+        catch (err) {
+            console.error('Error scanning usage:', err);
+            postToUI({
+                type: 'scanResult',
+                success: false,
+                rows: [],
+                totalInstances: 0,
+                error: 'Failed to scan the file'
+            });
+        }
+    });
+}
+// Read this document's migration status, starting a new one if it has none
+function loadDocumentStatus() {
+    const empty = {
+        fileId: getCurrentFileId(),
+        fileName: figma.root.name,
+        appliedSet: null,
+        appliedAt: null,
+        countedSet: null,
+        countedAt: null,
+        remaining: {},
+        remainingTotal: 0,
+        unmappedLegacyTotal: 0,
+        migratedTotal: 0
+    };
+    try {
+        const saved = figma.root.getPluginData(MIGRATION_STATUS_KEY);
+        return saved ? Object.assign(Object.assign(Object.assign({}, empty), JSON.parse(saved)), { fileId: empty.fileId, fileName: empty.fileName }) : empty;
+    }
+    catch (err) {
+        console.error('Error reading migration status:', err);
+        return empty;
+    }
+}
+// Update the remaining counts (counting again unless a scan just did), then save the status
+// on the document and in the per-user index of files
+function recordDocumentStatus(status, mappings, set, rows) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const counted = rows || (yield countLegacyInstances(mappings)).rows;
+            status.remaining = {};
+            status.remainingTotal = 0;
+            status.unmappedLegacyTotal = 0;
+            for (const row of counted) {
+                if (row.mapped) {
+                    status.remaining[row.key] = (status.remaining[row.key] || 0) + row.count;
+                    status.remainingTotal += row.count;
+                }
+                else {
+                    status.unmappedLegacyTotal += row.count;
+                }
+            }
+            status.countedSet = set;
+            status.countedAt = Date.now();
+            figma.root.setPluginData(MIGRATION_STATUS_KEY, JSON.stringify(status));
+            const index = yield loadFileIndex();
+            index[status.fileId] = status;
+            yield figma.clientStorage.setAsync(FILE_INDEX_KEY, index);
+            yield postProgressIndex();
+        }
+        catch (err) {
+            console.error('Error recording migration status:', err);
+        }
+    });
+}
+function loadFileIndex() {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            return (yield figma.clientStorage.getAsync(FILE_INDEX_KEY)) || {};
+        }
+        catch (err) {
+            console.error('Error reading file index:', err);
+            return {};
+        }
+    });
+}
+// Every file in the index; this document's own record is the freshest copy
+function loadProgressFiles() {
+    return __awaiter(this, void 0, void 0, function* () {
+        const index = yield loadFileIndex();
+        const current = figma.root.getPluginData(MIGRATION_STATUS_KEY) ? loadDocumentStatus() : null;
+        if (current) {
+            index[current.fileId] = current;
+        }
+        return Object.keys(index).map((fileId) => index[fileId]);
+    });
+}
+function postProgressIndex() {
+    return __awaiter(this, void 0, void 0, function* () {
+        postToUI({
+            type: 'progressIndex',
+            files: yield loadProgressFiles(),
+            currentFileId: getCurrentFileId()
+        });
+    });
+}
+function forgetFile(fileId) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const index = yield loadFileIndex();
+        delete index[fileId];
+        yield figma.clientStorage.setAsync(FILE_INDEX_KEY, index);
+        yield postProgressIndex();
+    });
+}
+// Count instances of mapped components on every page, plus unmapped components from the same libraries
+function countLegacyInstances(mappings) {
+    return __awaiter(this, void 0, void 0, function* () {
+        yield figma.loadAllPagesAsync();
+        const mappedKeys = new Set(mappings.map((m) => formatComponentKey(m.oldKey)));
+        const newKeys = new Set();
+        for (const mapping of mappings) {
+            [mapping.newKey, ...(mapping.conditions || []).map((c) => c.newKey)].forEach((key) => newKeys.add(formatComponentKey(key)));
+        }
+        // Libraries we know the mapped components come from; components from unknown libraries aren't guessed at
+        const legacyLibraries = new Set();
+        mappedKeys.forEach((key) => {
+            const libraryId = getLibraryId(libraryRegistry, key);
+            if (libraryId)
+                legacyLibraries.add(libraryId);
+        });
+        const rows = new Map();
+        const registered = new Set();
+        let registryChanged = false;
+        let totalInstances = 0;
+        for (const page of figma.root.children) {
+            for (const instance of page.findAllWithCriteria({ types: ['INSTANCE'] })) {
+                const mainComponent = yield instance.getMainComponentAsync();
+                if (!mainComponent)
+                    continue;
+                const key = mainComponent.key;
+                if (!registered.has(key)) {
+                    registered.add(key);
+                    registryChanged = (yield registerLocalComponent(mainComponent)) || registryChanged;
+                }
+                const setKey = getComponentSetKey(mainComponent);
+                const mapped = mappedKeys.has(key) || (!!setKey && mappedKeys.has(setKey));
+                // Unmapped components only count when they come from a library we're migrating away from
+                const libraryId = getLibraryId(libraryRegistry, key);
+                if (!mapped && (newKeys.has(key) || !libraryId || !legacyLibraries.has(libraryId))) {
+                    continue;
+                }
+                const rowId = `${page.id}|${key}`;
+                let row = rows.get(rowId);
+                if (!row) {
+                    const details = getComponentDetails(mainComponent);
+                    row = {
+                        key,
+                        name: details.name,
+                        variants: describeComponent(details.name, details.variantProperties).variants,
+                        mapped,
+                        pageId: page.id,
+                        pageName: page.name,
+                        count: 0,
+                        nodeIds: []
+                    };
+                    rows.set(rowId, row);
+                }
+                row.count++;
+                row.nodeIds.push(instance.id);
+                totalInstances++;
+            }
+        }
+        if (registryChanged) {
+            yield saveLibraryRegistry();
+        }
+        return { rows: Array.from(rows.values()), totalInstances };
+    });
+}
+// Find the page a node lives on
+function getPageOf(node) {
+    let current = node.parent;
+    while (current && current.type !== 'PAGE') {
+        current = current.parent;
+    }
+    return current;
+}
+// Select every instance of a component (or of any variant, for a component set key) on the current page or
+// in the whole file, and send their ids so the UI can step through them. Matches on the current page come first
+function findInstances(key, scope) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const componentKey = formatComponentKey(key);
+            let pages = [figma.currentPage];
+            if (scope === 'file') {
+                yield figma.loadAllPagesAsync();
+                pages = pages.concat(figma.root.children.filter((page) => page !== figma.currentPage));
+            }
+            const nodeIds = [];
+            let pageCount = 0;
+            for (const page of pages) {
+                const found = nodeIds.length;
+                for (const instance of page.findAllWithCriteria({ types: ['INSTANCE'] })) {
+                    const mainComponent = yield instance.getMainComponentAsync();
+                    if (mainComponent && (mainComponent.key === componentKey || getComponentSetKey(mainComponent) === componentKey)) {
+                        nodeIds.push(instance.id);
+                    }
+                }
+                if (nodeIds.length > found) {
+                    pageCount++;
+                }
+            }
+            if (nodeIds.length > 0) {
+                yield selectNodes(nodeIds);
+            }
+            postToUI({ type: 'foundInstances', success: true, key, scope, nodeIds, pageCount });
+        }
+        catch (err) {
+            console.error('Error finding instances:', err);
+            postToUI({ type: 'foundInstances', success: false, key, scope, error: 'Failed to search for instances' });
+        }
+    });
+}
+// Select nodes by id and zoom to them, switching to their page if needed
+function selectNodes(nodeIds) {
+    return __awaiter(this, void 0, void 0, function* () {
+        const nodes = [];
+        for (const id of nodeIds) {
+            const node = yield figma.getNodeByIdAsync(id);
+            if (node && node.type !== 'DOCUMENT' && node.type !== 'PAGE' && !node.removed) {
+                nodes.push(node);
+            }
+        }
+        if (nodes.length === 0) {
+            postToUI({
                 type: 'message',
-                text: 'Failed to generate visual comparison',
-                variant: 'error',
+                text: 'Those layers no longer exist. Scan or search again.',
+                variant: 'warning',
                 timeout: 3000
             });
+            return;
+        }
+        const page = getPageOf(nodes[0]);
+        if (page && page !== figma.currentPage) {
+            yield figma.setCurrentPageAsync(page);
+        }
+        const nodesOnPage = nodes.filter((node) => getPageOf(node) === page);
+        figma.currentPage.selection = nodesOnPage;
+        figma.viewport.scrollAndZoomIntoView(nodesOnPage);
+    });
+}
+function getSharedData() {
+    return {
+        get: (key) => figma.root.getSharedPluginData(PLUGIN_NAMESPACE, key),
+        set: (key, value) => figma.root.setSharedPluginData(PLUGIN_NAMESPACE, key, value),
+        keys: () => figma.root.getSharedPluginDataKeys(PLUGIN_NAMESPACE)
+    };
+}
+function getPrivateData() {
+    return {
+        get: (key) => figma.root.getPluginData(key),
+        set: (key, value) => figma.root.setPluginData(key, value),
+        keys: () => figma.root.getPluginDataKeys()
+    };
+}
+// Chunk keys of a value written with writeChunked: `${key}.0`, `${key}.1`, ...
+function getChunkKeys(store, key) {
+    return store.keys().filter((k) => k.startsWith(`${key}.`) && /^\d+$/.test(k.slice(key.length + 1)));
+}
+// Write a value across as many entries as it needs, clearing chunks left over from a longer value
+function writeChunked(store, key, value) {
+    const count = Math.max(1, Math.ceil(value.length / MAX_ENTRY_LENGTH));
+    for (let i = 0; i < count; i++) {
+        store.set(`${key}.${i}`, value.slice(i * MAX_ENTRY_LENGTH, (i + 1) * MAX_ENTRY_LENGTH));
+    }
+    for (const chunkKey of getChunkKeys(store, key)) {
+        if (Number(chunkKey.slice(key.length + 1)) >= count) {
+            store.set(chunkKey, '');
+        }
+    }
+}
+function readChunked(store, key) {
+    let value = '';
+    for (let i = 0;; i++) {
+        const chunk = store.get(`${key}.${i}`);
+        if (!chunk)
+            break;
+        value += chunk;
+    }
+    return value;
+}
+function deleteChunked(store, key) {
+    for (const chunkKey of getChunkKeys(store, key)) {
+        store.set(chunkKey, '');
+    }
+}
+// Read the mappings stored on this document
+function loadDocumentMappings() {
+    try {
+        const store = getSharedData();
+        const saved = store.get(MAPPINGS_KEY);
+        if (!saved) {
+            return null;
+        }
+        // Each set's mappings are under their own keys; documents saved before that keep them in the index
+        const index = JSON.parse(saved);
+        if (index && index.chunked && Array.isArray(index.sets)) {
+            for (const set of index.sets) {
+                const mappings = readChunked(store, `${MAPPINGS_KEY}.${set.id}`);
+                set.mappings = mappings ? JSON.parse(mappings) : [];
+            }
+        }
+        return migrateStoredMappings(index);
+    }
+    catch (err) {
+        console.error('Error reading document mappings:', err);
+        return null;
+    }
+}
+// Write mappings to the document: the list of sets, then each set's mappings in chunks
+function saveDocumentMappings(stored) {
+    const store = getSharedData();
+    const setIds = new Set(stored.sets.map((set) => set.id));
+    for (const set of stored.sets) {
+        writeChunked(store, `${MAPPINGS_KEY}.${set.id}`, JSON.stringify(set.mappings));
+    }
+    store.set(MAPPINGS_KEY, JSON.stringify(Object.assign(Object.assign({}, stored), { chunked: true, sets: stored.sets.map((set) => (Object.assign(Object.assign({}, set), { mappings: [] }))) })));
+    // Drop the chunks of deleted sets
+    const setPrefix = `${MAPPINGS_KEY}.`;
+    for (const key of store.keys()) {
+        const setId = key.startsWith(setPrefix) ? key.slice(setPrefix.length).replace(/\.\d+$/, '') : null;
+        if (setId && !setIds.has(setId)) {
+            store.set(key, '');
+        }
+    }
+}
+function loadSettings() {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            const saved = yield figma.clientStorage.getAsync(SETTINGS_KEY);
+            return Object.assign(Object.assign({}, DEFAULT_SETTINGS), (saved || {}));
+        }
+        catch (err) {
+            console.error('Error loading settings:', err);
+            return Object.assign({}, DEFAULT_SETTINGS);
+        }
+    });
+}
+function saveSettings(settings) {
+    return __awaiter(this, void 0, void 0, function* () {
+        try {
+            yield figma.clientStorage.setAsync(SETTINGS_KEY, settings);
+            // Write the personal copy straight away rather than on the next edit
+            const stored = loadDocumentMappings();
+            if (settings.keepPersonalCopy && stored) {
+                yield figma.clientStorage.setAsync(CLIENT_STORAGE_KEY, stored);
+            }
+        }
+        catch (err) {
+            console.error('Error saving settings:', err);
         }
     });
 }
-// Save mappings to client storage
+// Save mappings to the document, plus a personal clientStorage copy if enabled
 function saveMappings(data) {
     return __awaiter(this, void 0, void 0, function* () {
         try {
-            yield figma.clientStorage.setAsync('componentMigrationMappings', data);
+            const stored = migrateStoredMappings(data);
+            if (!stored)
+                return;
+            saveDocumentMappings(stored);
+            const settings = yield loadSettings();
+            if (settings.keepPersonalCopy) {
+                yield figma.clientStorage.setAsync(CLIENT_STORAGE_KEY, stored);
+            }
+            else if (legacyCopyOffered) {
+                // This file has taken over the legacy copy: mark it so other files don't pick it up too
+                const saved = yield figma.clientStorage.getAsync(CLIENT_STORAGE_KEY);
+                if (isUnmovedLegacyCopy(saved)) {
+                    const legacy = Array.isArray(saved) ? { mappings: saved } : saved;
+                    yield figma.clientStorage.setAsync(CLIENT_STORAGE_KEY, Object.assign(Object.assign({}, legacy), { movedToFile: getCurrentFileId(), movedAt: Date.now() }));
+                }
+            }
+            legacyCopyOffered = false;
         }
         catch (err) {
             console.error('Error saving mappings:', err);
+            const error = `Could not save mappings to this file: ${err instanceof Error ? err.message : String(err)}`;
+            figma.notify(error, { error: true });
+            postToUI({ type: 'saveFailed', error });
         }
     });
 }
-// Load saved mappings from client storage
+// Whether this session offered the legacy clientStorage copy, which the next save moves into the file
+let legacyCopyOffered = false;
+// Unversioned clientStorage data from before mappings lived in the document, not yet saved into a file
+function isUnmovedLegacyCopy(saved) {
+    const data = saved;
+    return !!data && !data.version && !data.movedToFile;
+}
+// Load saved mappings from the document, falling back to clientStorage
 function loadSavedMappings() {
     return __awaiter(this, void 0, void 0, function* () {
         try {
-            const saved = yield figma.clientStorage.getAsync('componentMigrationMappings');
-            console.log('Loaded from storage:', saved);
-            // Handle different data structures for backwards compatibility
-            let dataToSend = saved;
-            // If saved is an array, it's the old format - wrap it
-            if (Array.isArray(saved)) {
-                dataToSend = {
-                    mappings: saved,
-                    timestamp: Date.now() - (7 * 24 * 60 * 60 * 1000) // 7 days ago
-                };
-            }
-            figma.ui.postMessage({
+            const settings = yield loadSettings();
+            let dataToSend = loadDocumentMappings();
+            let source = dataToSend ? 'document' : null;
+            if (!dataToSend) {
+                // Data saved before mappings lived in the document has no version: offer it until it has been
+                // saved into a file (see saveMappings). Newer personal copies are only used when enabled.
+                const saved = yield figma.clientStorage.getAsync(CLIENT_STORAGE_KEY);
+                const isLegacy = isUnmovedLegacyCopy(saved);
+                if (isLegacy || settings.keepPersonalCopy) {
+                    dataToSend = migrateStoredMappings(saved);
+                    source = dataToSend ? (isLegacy ? 'legacy' : 'personal') : null;
+                }
+                legacyCopyOffered = isLegacy && !!dataToSend;
+            }
+            console.log('Loaded mappings from:', source, dataToSend);
+            postToUI({
                 type: 'loadedMappings',
-                data: dataToSend
+                data: dataToSend,
+                source,
+                settings
             });
         }
         catch (err) {
             console.error('Error loading mappings:', err);
-            figma.ui.postMessage({
+            postToUI({
                 type: 'loadedMappings',
-                data: null
+                data: null,
+                source: null,
+                settings: Object.assign({}, DEFAULT_SETTINGS)
             });
         }
     });
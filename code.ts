@@ -10,37 +10,460 @@ figma.showUI(__html__, {
 });
 
 // Types
-interface Mapping {
+interface ComponentInfo {
+  key: string;
+  name: string;
+  id: string;
+  library?: string;
+  variantProperties: VariantProperties | null;
+  componentProperties: PropertyDefinitions;
+}
+
+interface ScanRow {
+  key: string;
+  name: string;
+  variants: string;
+  mapped: boolean;
+  pageId: string;
+  pageName: string;
+  count: number;
+  nodeIds: string[];
+}
+
+interface ResolvedKey extends Partial<ComponentDetails> {
+  input: string;
+  key: string;
+  status: KeyStatus;
+}
+
+interface ComponentSetInfo {
+  id: string;
+  key: string;
+  name: string;
+  variantCount: number;
+}
+
+interface VariantInfo extends ComponentDetails {
+  key: string;
+  variantName: string;
+}
+
+interface VariantPair {
+  old: VariantInfo;
+  new: VariantInfo | null;
+}
+
+interface SuggestionCandidate extends ComponentDetails {
+  key: string;
+  fullName: string;
+  width: number;
+  height: number;
+}
+
+interface Suggestion {
+  old: SuggestionCandidate;
+  new: SuggestionCandidate;
+  score: number;
+  reasons: string[];
+}
+
+interface SuggestionRequest {
+  oldKeys: string[];
+  candidatePageId: string;
+  excludeKeys: string[];
+}
+
+interface ComponentDetails {
+  name: string;
+  variantProperties: VariantProperties | null;
+  componentProperties: PropertyDefinitions;
+}
+
+type MigrationScope = 'selection' | 'page' | 'file';
+
+interface MigrationMatch {
+  instance: InstanceNode;
+  result: MigrationResult;
+  mapping: Mapping;
+  previousComponent: ComponentNode;
+  previousProperties: InstanceNode['componentProperties'];
+  previousDefinitions: PropertyDefinitions;
+  overrides: LayerOverride[];
+}
+
+// Overrides on one layer of an instance, recorded before a swap so they can be put back by layer path
+interface LayerOverride {
+  path: string;
+  characters?: string;
+  fills?: ReadonlyArray<Paint>;
+  fillStyleId?: string;
+  // A nested instance swapped to something other than what its main component uses
+  swapTo?: ComponentNode;
+}
+
+// What a swap couldn't carry over on one instance
+interface NodeReport {
+  nodeId: string;
+  nodeName: string;
+  lost: string[];
+}
+
+// Where loaded mappings came from: this file, a personal copy, or pre-document storage
+type MappingSource = 'document' | 'personal' | 'legacy';
+
+interface PluginSettings {
+  keepPersonalCopy: boolean;
+  guideFontFamily: string;
+  guideGroupBy: GuideGroupBy;
+}
+
+interface GuideOptions {
+  setId: string;
+  setName: string;
+  groupBy: GuideGroupBy;
+  fontFamily: string;
+}
+
+// Plugin data on the document root: shared (readable by everyone's copy of the plugin) or private to this plugin
+interface DataStore {
+  get(key: string): string;
+  set(key: string, value: string): void;
+  keys(): string[];
+}
+
+interface GuideFonts {
+  regular: FontName;
+  medium: FontName;
+  bold: FontName;
+}
+
+type PropertyValues = { [propertyKey: string]: string | boolean };
+
+// A layer override as kept in the run log, with a nested swap stored by component key and id
+interface LoggedOverride {
+  path: string;
+  characters?: string;
+  fills?: ReadonlyArray<Paint>;
+  fillStyleId?: string;
+  swapToKey?: string;
+  swapToId?: string;
+}
+
+// What we need to put one swapped instance back the way it was. Runs logged before
+// layer overrides were recorded have no previousOverrides
+interface RunLogEntry {
+  nodeId: string;
+  previousKey: string;
+  previousComponentId: string;
+  previousProperties: PropertyValues;
+  previousOverrides?: LoggedOverride[];
+}
+
+// A run as listed in the run log. Its entries live under their own key (see getRunKey);
+// runs logged before that still carry them inline until the log is next saved
+interface MigrationRun {
+  id: string;
+  timestamp: number;
+  scope: MigrationScope;
+  pageName: string;
+  swapped: number;
+  length: number;
+  rolledBackAt?: number;
+  entries?: RunLogEntry[];
+}
+
+interface MigrationResult {
   oldKey: string;
   newKey: string;
   oldName: string;
   newName: string;
-  notes: string;
+  swapped: number;
+  detached: number;
+  removed: number;
+  skipped: number;
+  failed: number;
+  errors: string[];
+  droppedProperties: string[];
+  nodeReports: NodeReport[];
 }
 
-interface ComponentInfo {
-  key: string;
-  name: string;
-  id: string;
-  library?: string;
+// Mappings are shared with everyone who opens the document; clientStorage is a per-user copy.
+// MAPPINGS_KEY holds the sets without their mappings; each set's mappings are chunked under `mappings.<set id>`
+const PLUGIN_NAMESPACE = 'component_migration';
+const MAPPINGS_KEY = 'mappings';
+const CLIENT_STORAGE_KEY = 'componentMigrationMappings';
+const SETTINGS_KEY = 'componentMigrationSettings';
+const DEFAULT_SETTINGS: PluginSettings = { keepPersonalCopy: false, guideFontFamily: 'Inter', guideGroupBy: 'component' };
+
+// Figma caps each plugin data entry at 100 kB. Longer values are split into chunks of this many
+// characters, which stays under the cap even when every character takes 3 bytes
+const MAX_ENTRY_LENGTH = 30000;
+
+// Suggestions scoring below this are not worth showing
+const MIN_SUGGESTION_SCORE = 0.35;
+
+// Labels and colours used for mapping status in the generated visuals
+const MAPPING_STATUS_STYLES: { [status in MappingStatus]: { label: string; color: RGB } } = {
+  'draft': { label: 'Draft', color: { r: 0.5, g: 0.5, b: 0.5 } },
+  'approved': { label: 'Approved', color: { r: 0.2, g: 0.6, b: 0.2 } },
+  'deprecated-no-replacement': { label: 'Deprecated, no replacement', color: { r: 0.8, g: 0.2, b: 0.2 } },
+  'migrated': { label: 'Migrated', color: { r: 0.1, g: 0.45, b: 0.8 } }
+};
+
+const MAPPING_TYPE_LABELS: { [type in MappingType]: string } = {
+  'replace': 'New',
+  'detach': 'Detach',
+  'remove': 'Remove',
+  'conditional': 'Conditional'
+};
+
+// The guide page and the frames generated on it are marked with plugin data so re-runs update them in place
+const GUIDE_PAGE_NAME = 'Migration Guide';
+const GUIDE_KEY = 'migrationGuide';
+
+const DEFAULT_GUIDE_FONTS: GuideFonts = {
+  regular: { family: 'Inter', style: 'Regular' },
+  medium: { family: 'Inter', style: 'Medium' },
+  bold: { family: 'Inter', style: 'Bold' }
+};
+
+// Fonts for the guide being generated, and whether any component in it failed to import.
+// Only set during generateVisualComparison, which resets them when it's done
+let guideFonts = DEFAULT_GUIDE_FONTS;
+let guideHasErrors = false;
+
+const DIFF_RISK_COLORS: { [risk in DiffRisk]: RGB } = {
+  'none': { r: 0.2, g: 0.6, b: 0.2 },
+  'low': { r: 0.8, g: 0.55, b: 0 },
+  'high': { r: 0.8, g: 0.2, b: 0.2 }
+};
+
+// Size changes bigger than this many pixels make a swap risky
+const RISKY_SIZE_DELTA = 4;
+
+// Per-document migration status, and the per-user index of every file it was recorded in
+const MIGRATION_STATUS_KEY = 'migrationStatus';
+const FILE_INDEX_KEY = 'componentMigrationFileIndex';
+
+// Library registry storage
+const LIBRARY_REGISTRY_KEY = 'libraryRegistry';
+
+const libraryRegistry: LibraryRegistry = { version: 1, libraries: {}, components: {} };
+
+// The registry is saved as one plugin data entry, so only the most recently assigned components are kept
+const MAX_REGISTERED_COMPONENTS = 1000;
+
+// Where migration runs are logged on the document, and how many we keep. The oldest runs are
+// dropped once the entries of all logged runs add up to more than MAX_RUN_LOG_LENGTH characters
+const RUN_LOG_KEY = 'migrationRuns';
+const MAX_LOGGED_RUNS = 20;
+const MAX_RUN_LOG_LENGTH = 1000000;
+
+// How many levels of instances inside instances a run with nested instances follows
+const MAX_NESTING_DEPTH = 10;
+
+// Where a document without a readable file key keeps the id generated for it
+const DOCUMENT_ID_KEY = 'documentId';
+
+let documentId: string | null = null;
+
+// This file's id in the library registry and progress index: its file key when the plugin can read it,
+// otherwise an id generated once and stored on the document, so renaming or sharing a name doesn't matter
+function getCurrentFileId(): string {
+  if (figma.fileKey) {
+    return figma.fileKey;
+  }
+  if (!documentId) {
+    documentId = figma.root.getPluginData(DOCUMENT_ID_KEY);
+  }
+  if (!documentId) {
+    documentId = `local:${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    try {
+      figma.root.setPluginData(DOCUMENT_ID_KEY, documentId);
+    } catch (err) {
+      console.error('Error storing document id:', err);
+    }
+  }
+  return documentId;
+}
+
+// Add a library, keeping any name that was given by hand. Returns whether anything changed
+function registerLibrary(id: string, name: string, source: LibrarySource): boolean {
+  const existing = libraryRegistry.libraries[id];
+  if (existing && (existing.source === 'manual' || existing.name === name)) {
+    return false;
+  }
+  libraryRegistry.libraries[id] = { id, name, source };
+  return true;
+}
+
+function assignComponentLibrary(componentKey: string, libraryId: string): boolean {
+  const key = formatComponentKey(componentKey);
+  if (!key || libraryRegistry.components[key] === libraryId) {
+    return false;
+  }
+  // Re-insert so the key counts as recent when the registry is trimmed
+  delete libraryRegistry.components[key];
+  libraryRegistry.components[key] = libraryId;
+  return true;
 }
 
-// Function to get library name from component key
-function getLibraryNameFromKey(componentKey: string): string {
+// Drop the components assigned longest ago once there are more than MAX_REGISTERED_COMPONENTS
+function trimLibraryRegistry() {
+  const keys = Object.keys(libraryRegistry.components);
+  for (const key of keys.slice(0, Math.max(0, keys.length - MAX_REGISTERED_COMPONENTS))) {
+    delete libraryRegistry.components[key];
+  }
+}
+
+// Register the published local components of mappings made on the canvas, whose keys are known to be valid
+async function registerMappedComponents(mappings: Mapping[]) {
+  const keys = new Set<string>();
+  for (const mapping of mappings) {
+    if (mapping.oldKeyStatus === 'valid') keys.add(formatComponentKey(mapping.oldKey));
+    if (mapping.newKeyStatus === 'valid' && mapping.newKey) keys.add(formatComponentKey(mapping.newKey));
+  }
+  
+  let registryChanged = false;
+  for (const key of Array.from(keys)) {
+    // Already known, so no need to import it
+    if (getLibraryId(libraryRegistry, key)) continue;
+    try {
+      const component = await figma.importComponentByKeyAsync(key);
+      registryChanged = await registerLocalComponent(component) || registryChanged;
+    } catch (err) {
+      console.log('Could not register component:', key, err);
+    }
+  }
+  if (registryChanged) {
+    await saveLibraryRegistry();
+  }
+}
+
+// Learn a component's library from a "fileKey:componentKey" or URL it was entered as
+function registerKeyHint(input: string): boolean {
+  const fileKey = getFileKeyHint(input);
+  if (!fileKey) {
+    return false;
+  }
+  const added = registerLibrary(fileKey, libraryRegistry.libraries[fileKey]?.name || fileKey, 'key');
+  return assignComponentLibrary(input, fileKey) || added;
+}
+
+// Components published from this file belong to this file's library
+async function registerLocalComponent(component: ComponentNode | ComponentSetNode): Promise<boolean> {
+  if (component.remote || await component.getPublishStatusAsync() === 'UNPUBLISHED') {
+    return false;
+  }
+  const libraryId = getCurrentFileId();
+  const added = registerLibrary(libraryId, figma.root.name, 'publish');
+  let changed = assignComponentLibrary(component.key, libraryId) || added;
+  if (component.type === 'COMPONENT' && component.parent?.type === 'COMPONENT_SET') {
+    changed = assignComponentLibrary(component.parent.key, libraryId) || changed;
+  }
+  return changed;
+}
+
+// Register every published component in this file, e.g. when running the plugin in a library file
+async function registerFileLibrary() {
   try {
-    const fileKey = componentKey.split(':')[0];
+    await figma.loadAllPagesAsync();
+    let registered = 0;
+    for (const page of figma.root.children) {
+      for (const component of page.findAllWithCriteria({ types: ['COMPONENT', 'COMPONENT_SET'] })) {
+        if (await registerLocalComponent(component)) {
+          registered++;
+        }
+      }
+    }
+    await saveLibraryRegistry();
     
-    // For now, return the full file key as the library identifier
-    // This will show the actual library key without truncation
-    return fileKey;
-  } catch (error) {
-    console.log('Could not get library name for key:', componentKey, error);
-    return 'Unknown Library';
+    postToUI({
+      type: 'message',
+      text: registered > 0 ?
+        `Registered ${registered} published component${registered !== 1 ? 's' : ''} as "${figma.root.name}"` :
+        'No new published components found in this file',
+      variant: registered > 0 ? 'success' : 'info',
+      timeout: 3000
+    });
+  } catch (err) {
+    console.error('Error registering file library:', err);
+    postToUI({
+      type: 'message',
+      text: 'Failed to register this file as a library',
+      variant: 'error',
+      timeout: 3000
+    });
+  }
+}
+
+// The registry lives in the document for collaborators and in clientStorage so it follows the user across files
+async function loadLibraryRegistry() {
+  try {
+    const personal = await figma.clientStorage.getAsync(LIBRARY_REGISTRY_KEY);
+    const saved = figma.root.getSharedPluginData(PLUGIN_NAMESPACE, LIBRARY_REGISTRY_KEY);
+    const shared = saved ? JSON.parse(saved) : null;
+    for (const registry of [personal, shared]) {
+      if (registry && registry.libraries && registry.components) {
+        Object.assign(libraryRegistry.libraries, registry.libraries);
+        Object.assign(libraryRegistry.components, registry.components);
+      }
+    }
+  } catch (err) {
+    console.error('Error loading library registry:', err);
+  }
+  await postLibraryRegistry();
+}
+
+async function saveLibraryRegistry() {
+  try {
+    trimLibraryRegistry();
+    figma.root.setSharedPluginData(PLUGIN_NAMESPACE, LIBRARY_REGISTRY_KEY, JSON.stringify(libraryRegistry));
+    await figma.clientStorage.setAsync(LIBRARY_REGISTRY_KEY, libraryRegistry);
+  } catch (err) {
+    console.error('Error saving library registry:', err);
+    postToUI({ type: 'saveFailed', error: `Could not save the library registry: ${err instanceof Error ? err.message : String(err)}` });
+  }
+  await postLibraryRegistry();
+}
+
+// Send the registry to the UI, with the team library names available as aliases
+async function postLibraryRegistry() {
+  let teamLibraries: string[] = [];
+  try {
+    const collections = await figma.teamLibrary.getAvailableLibraryVariableCollectionsAsync();
+    teamLibraries = Array.from(new Set(collections.map((collection) => collection.libraryName))).sort();
+  } catch (err) {
+    console.log('Team libraries are not available:', err);
+  }
+  
+  postToUI({
+    type: 'libraryRegistry',
+    registry: libraryRegistry,
+    teamLibraries
+  });
+}
+
+async function setLibraryAlias(libraryId: string, name: string) {
+  const trimmed = name.trim();
+  if (!libraryId.trim() || !trimmed) return;
+  libraryRegistry.libraries[libraryId.trim()] = { id: libraryId.trim(), name: trimmed, source: 'manual' };
+  await saveLibraryRegistry();
+}
+
+async function assignLibrary(keys: string[], libraryId: string) {
+  let changed = false;
+  for (const key of keys) {
+    changed = assignComponentLibrary(key, libraryId) || changed;
+  }
+  if (changed) {
+    await saveLibraryRegistry();
   }
 }
 
-// Initialize by loading saved mappings
+// Initialize by loading saved mappings and the library registry
 loadSavedMappings();
+loadLibraryRegistry();
 
 // Listen for selection changes
 figma.on("selectionchange", () => {
@@ -52,17 +475,53 @@ setTimeout(() => {
   handleSelectionChange();
 }, 100);
 
-
+// Every message to the UI goes through here so its shape is checked against messages.ts
+function postToUI(message: PluginMessage) {
+  figma.ui.postMessage(message);
+}
 
 // Handle messages from the UI
-figma.ui.onmessage = async msg => {
+figma.ui.onmessage = async (msg: UIMessage) => {
   switch (msg.type) {
     case 'copySelectedKey':
       await copySelectedComponentKey();
       break;
       
+    case 'registerFileLibrary':
+      await registerFileLibrary();
+      break;
+      
+    case 'setLibraryAlias':
+      await setLibraryAlias(msg.libraryId, msg.name);
+      break;
+      
+    case 'assignLibrary':
+      await assignLibrary(msg.keys, msg.libraryId);
+      break;
+      
+    case 'measureDiffs':
+      await measureDiffs(msg.pairs);
+      break;
+      
+    case 'parseImport':
+      previewImport(msg.content, msg.fileName, msg.existing);
+      break;
+      
+    case 'reviewMappings':
+      await registerMappedComponents(msg.incoming);
+      postToUI({ type: 'mappingReview', source: 'mapping', ...reviewMappings(msg.existing, msg.incoming, libraryRegistry), skipped: 0, libraryHints: [], warnings: [] });
+      break;
+      
+    case 'validateMappings':
+      postToUI({ type: 'mappingIssues', setId: msg.setId, issues: validateMappings(msg.mappings, libraryRegistry) });
+      break;
+      
+    case 'exportMappings':
+      postToUI({ type: 'exportReady', ...serializeMappings(msg.format, msg.mappings, msg.setName, libraryRegistry, new Date()) });
+      break;
+      
     case 'generateVisuals':
-      await generateVisualComparison(msg.mappings);
+      await generateVisualComparison(msg.mappings, msg.guide);
       break;
       
     case 'saveMappings':
@@ -74,6 +533,10 @@ figma.ui.onmessage = async msg => {
       await loadSavedMappings();
       break;
       
+    case 'saveSettings':
+      await saveSettings(msg.settings);
+      break;
+      
     case 'getInitialSelection':
       handleSelectionChange();
       break;
@@ -82,64 +545,126 @@ figma.ui.onmessage = async msg => {
       await insertComponentsByKeys(msg.keys);
       break;
       
-
+    case 'resolveKeys':
+      await resolveKeys(msg.keys, msg.libraryHints || []);
+      break;
+      
+    case 'applyMigration':
+      await applyMigration(msg.mappings, msg.scope, msg.set, msg.includeNested);
+      break;
+      
+    case 'getProgress':
+      await postProgressIndex();
+      break;
+      
+    case 'forgetFile':
+      await forgetFile(msg.fileId);
+      break;
+      
+    case 'exportProgress':
+      postToUI({ type: 'exportReady', ...serializeProgress(msg.format, await loadProgressFiles(), new Date()) });
+      break;
+      
+    case 'getMigrationRuns':
+      postMigrationRuns();
+      break;
+      
+    case 'rollbackRun':
+      await rollbackRun(msg.runId);
+      break;
+      
+    case 'pairComponentSets':
+      await pairComponentSets(msg.oldSet, msg.newSet, msg.rules || []);
+      break;
+      
+    case 'getPages':
+      postToUI({
+        type: 'pages',
+        pages: figma.root.children.map((page) => ({ id: page.id, name: page.name })),
+        currentPageId: figma.currentPage.id
+      });
+      break;
+      
+    case 'suggestReplacements':
+      await suggestReplacements(msg.request);
+      break;
+      
+    case 'scanUsage':
+      await scanUsage(msg.mappings, msg.set);
+      break;
+      
+    case 'selectNodes':
+      await selectNodes(msg.nodeIds);
+      break;
+      
+    case 'findInstances':
+      await findInstances(msg.key, msg.scope);
+      break;
+      
+    case 'message':
+      figma.notify(msg.text, { timeout: msg.timeout, error: msg.variant === 'error' });
+      break;
   }
 };
 
-function formatComponentKey(input: string): string {
-  const raw = input.trim();
-
-  // if URL pasted, extract key param
-  if (raw.startsWith("http")) {
-    try {
-      const u = new URL(raw);
-      const k = u.searchParams.get("key");
-      if (k) return k;
-    } catch {}
-  }
-
-  // if fileKey:componentKey pasted, grab the right side
-  if (raw.includes(":")) {
-    return raw.split(":").pop()!.trim();
-  }
-
-  return raw;
-}
 // Handle selection changes
-function handleSelectionChange() {
+async function handleSelectionChange() {
   const selection = figma.currentPage.selection;
   const componentInfo: ComponentInfo[] = [];
+  const componentSets = new Map<string, ComponentSetInfo>();
   
   for (const node of selection) {
-    const componentKey = getComponentKey(node);
-    if (componentKey) {
+    const componentSet = await getComponentSet(node);
+    if (componentSet) {
+      componentSets.set(componentSet.id, {
+        id: componentSet.id,
+        key: componentSet.key,
+        name: componentSet.name,
+        variantCount: componentSet.children.length
+      });
+    }
+    
+    const component = await getMainComponent(node);
+    if (component) {
+      const details = getComponentDetails(component);
       componentInfo.push({
-        key: componentKey,
-        name: getComponentName(node),
+        key: component.key,
+        name: details.name,
         id: node.id,
-        library: getLibraryNameFromKey(componentKey)
+        library: getLibraryNameFromKey(libraryRegistry, component.key),
+        variantProperties: details.variantProperties,
+        componentProperties: details.componentProperties
       });
     }
   }
   
-  figma.ui.postMessage({
+  postToUI({
     type: 'selectionChange',
-    selection: componentInfo
+    selection: componentInfo,
+    componentSets: Array.from(componentSets.values())
   });
 }
 
-// Get component key from a node
-function getComponentKey(node: SceneNode): string | null {
+// Get the component set a node is, or whose variant it is (directly or through an instance)
+async function getComponentSet(node: SceneNode): Promise<ComponentSetNode | null> {
+  if (node.type === 'COMPONENT_SET') {
+    return node;
+  }
+  const component = await getMainComponent(node);
+  return component?.parent?.type === 'COMPONENT_SET' ? component.parent : null;
+}
+
+// Key of the component set a variant belongs to, if any
+function getComponentSetKey(component: ComponentNode): string | null {
+  return component.parent?.type === 'COMPONENT_SET' ? component.parent.key : null;
+}
+
+// Get the component a node represents: itself for components, the main component for instances
+async function getMainComponent(node: SceneNode): Promise<ComponentNode | null> {
   if (node.type === 'COMPONENT') {
-    // Get the full component key including file key
-    return node.key;
+    return node;
   } else if (node.type === 'INSTANCE') {
-    // Use the new async method to avoid deprecation warning
-    const mainComponentId = node.mainComponent?.id;
-    if (mainComponentId) {
-      // For now, return the component key if available
-      return node.mainComponent?.key || null;
-    }
+    return await node.getMainComponentAsync();
   }
   return null;
 }
@@ -148,6 +673,68 @@ function clearSelection() {
   figma.currentPage.selection = [];
 }
 
+// Check whether a key imports as a component, and fetch its real name and properties.
+// The imported component comes back too, so callers don't have to import it again
+async function resolveComponentKey(key: string): Promise<{ resolved: ResolvedKey; component: ComponentNode | null }> {
+  const formattedKey = formatComponentKey(key);
+  try {
+    const component = await figma.importComponentByKeyAsync(formattedKey);
+    return { resolved: { input: key, key: formattedKey, status: 'valid', ...getComponentDetails(component) }, component };
+  } catch (_err) {
+    // A common mistake is copying the component set's key instead of a variant's
+    try {
+      const componentSet = await figma.importComponentSetByKeyAsync(formattedKey);
+      return { resolved: { input: key, key: formattedKey, status: 'set-key', name: componentSet.name }, component: null };
+    } catch (_setErr) {
+      return { resolved: { input: key, key: formattedKey, status: 'not-found' }, component: null };
+    }
+  }
+}
+
+// Resolve keys in the background and report their status to the UI. Library hints are keys as they were
+// entered ("fileKey:componentKey" or URLs), which tell us which library file a component comes from
+async function resolveKeys(keys: string[], libraryHints: string[]) {
+  let registryChanged = false;
+  for (const hint of libraryHints) {
+    registryChanged = registerKeyHint(hint) || registryChanged;
+  }
+  
+  const results: ResolvedKey[] = [];
+  for (const key of Array.from(new Set(keys))) {
+    const { resolved, component } = await resolveComponentKey(key);
+    if (component) {
+      registryChanged = await registerLocalComponent(component) || registryChanged;
+    }
+    results.push(resolved);
+  }
+  if (registryChanged) {
+    await saveLibraryRegistry();
+  }
+  
+  postToUI({
+    type: 'keysResolved',
+    results
+  });
+}
+
+// Parse an import file and review its rows against the current set, without changing anything yet
+function previewImport(content: string, fileName: string, existing: Mapping[]) {
+  const parsed = parseImport(content, fileName);
+  if ('error' in parsed) {
+    postToUI({ type: 'mappingReview', source: 'import', error: parsed.error });
+    return;
+  }
+  
+  postToUI({
+    type: 'mappingReview',
+    source: 'import',
+    ...reviewMappings(existing, parsed.mappings, libraryRegistry),
+    skipped: parsed.skipped,
+    libraryHints: parsed.libraryHints,
+    warnings: parsed.warnings
+  });
+}
+
 // Insert components by their keys
 async function insertComponentsByKeys(keys: string[]) {
   try {
@@ -159,7 +746,9 @@ async function insertComponentsByKeys(keys: string[]) {
     let currentX = viewportCenter.x;
     let currentY = viewportCenter.y;
     
+    let registryChanged = false;
     for (const key of keys) {
+      registryChanged = registerKeyHint(key) || registryChanged;
       try {
         // Format the component key
         const formattedKey = formatComponentKey(key);
@@ -190,9 +779,15 @@ async function insertComponentsByKeys(keys: string[]) {
         }
       } catch (error) {
         console.error('Error importing component:', key, error);
-        errors.push(`Invalid component key: ${key}`);
+        const { resolved } = await resolveComponentKey(key);
+        errors.push(resolved.status === 'set-key'
+          ? `${key} is a component set key, use one of its variants' keys`
+          : `Component not found or not published: ${key}`);
       }
     }
+    if (registryChanged) {
+      await saveLibraryRegistry();
+    }
     
     // Select all inserted components
     if (insertedComponents.length > 0) {
@@ -201,7 +796,7 @@ async function insertComponentsByKeys(keys: string[]) {
     }
     
     // Send result back to UI
-    figma.ui.postMessage({
+    postToUI({
       type: 'componentInsertionResult',
       success: insertedComponents.length > 0,
       insertedCount: insertedComponents.length,
@@ -211,7 +806,7 @@ async function insertComponentsByKeys(keys: string[]) {
     
   } catch (error) {
     console.error('Error in insertComponentsByKeys:', error);
-    figma.ui.postMessage({
+    postToUI({
       type: 'componentInsertionResult',
       success: false,
       insertedCount: 0,
@@ -220,43 +815,48 @@ async function insertComponentsByKeys(keys: string[]) {
     });
   }
 }
-// Get a readable component name
-function getComponentName(node: SceneNode): string {
-  if (node.type === 'COMPONENT' || node.type === 'INSTANCE') {
-    let name = node.name;
-    
-    // If it's an instance, try to get the main component name
-    if (node.type === 'INSTANCE' && node.mainComponent) {
-      name = node.mainComponent.name;
-    }
-    
-    // Extract base name from variant syntax (e.g., "Button/Primary" from complex variant names)
-    // First, check if it's a variant with properties
-    if (name.includes('=')) {
-      // This is a variant, try to get the parent component set name
-      // Sometimes Figma includes the component set name at the beginning
-      if (node.type === 'INSTANCE' && node.mainComponent?.parent?.type === 'COMPONENT_SET') {
-        name = node.mainComponent.parent.name;
-      } else if (node.type === 'COMPONENT' && node.parent?.type === 'COMPONENT_SET') {
-        name = node.parent.name;
-      }
-    }
-    
-    // Store variant properties separately for tooltip
-    let variantProps = '';
-    if ('variantProperties' in node && node.variantProperties) {
-      const props = Object.keys(node.variantProperties)
-        .map((key) => `${key}=${node.variantProperties![key]}`)
-        .join(', ');
-      if (props) {
-        variantProps = props;
-      }
+// Get a readable component name plus its structured variant and property data
+function getComponentDetails(component: ComponentNode): ComponentDetails {
+  let name = component.name;
+  
+  // Variants are named "Prop=Value, ...": use the component set name instead
+  const componentSet = component.parent?.type === 'COMPONENT_SET' ? component.parent : null;
+  if (componentSet && name.includes('=')) {
+    name = componentSet.name;
+  }
+  
+  return {
+    name,
+    variantProperties: component.variantProperties ? { ...component.variantProperties } : null,
+    componentProperties: getComponentProperties(component)
+  };
+}
+
+// Get the property definitions of a component keyed by their display name
+function getComponentProperties(component: ComponentNode): PropertyDefinitions {
+  const properties: PropertyDefinitions = {};
+  try {
+    // Variants don't own their definitions, the component set does
+    const owner = component.parent?.type === 'COMPONENT_SET' ? component.parent : component;
+    const definitions = owner.componentPropertyDefinitions;
+    for (const key of Object.keys(definitions)) {
+      const definition = definitions[key];
+      properties[getPropertyName(key)] = {
+        type: definition.type,
+        defaultValue: definition.defaultValue as string | boolean,
+        ...(definition.variantOptions ? { variantOptions: definition.variantOptions } : {})
+      };
     }
-    
-    // Return clean name with variant properties as metadata
-    return variantProps ? `${name}|${variantProps}` : name;
+  } catch (err) {
+    console.log('Could not read component properties for:', component.name, err);
   }
-  return node.name;
+  return properties;
+}
+
+// Strip the "#id" suffix Figma adds to TEXT, BOOLEAN and INSTANCE_SWAP property keys
+function getPropertyName(propertyKey: string): string {
+  const hashIndex = propertyKey.lastIndexOf('#');
+  return hashIndex > 0 ? propertyKey.slice(0, hashIndex) : propertyKey;
 }
 
 // Copy selected component key to clipboard
@@ -264,7 +864,7 @@ async function copySelectedComponentKey() {
   const selection = figma.currentPage.selection;
   
   if (selection.length === 0) {
-    figma.ui.postMessage({
+    postToUI({
       type: 'keyCopied',
       success: false,
       error: 'No component selected'
@@ -272,9 +872,9 @@ async function copySelectedComponentKey() {
     return;
   }
   
-  const componentKey = getComponentKey(selection[0]);
-  if (!componentKey) {
-    figma.ui.postMessage({
+  const component = await getMainComponent(selection[0]);
+  if (!component) {
+    postToUI({
       type: 'keyCopied',
       success: false,
       error: 'Selected node is not a component'
@@ -282,296 +882,2053 @@ async function copySelectedComponentKey() {
     return;
   }
   
-  figma.ui.postMessage({
+  postToUI({
     type: 'keyCopied',
     success: true,
-    key: componentKey
+    key: component.key
   });
 }
 
-// Generate visual comparison frames
-async function generateVisualComparison(mappings: Mapping[]) {
+// Build the Migration Guide page for a mapping set, updating the set's guide in place when it already exists
+async function generateVisualComparison(mappings: Mapping[], options: GuideOptions) {
   try {
-    // Load the Inter font FIRST, before creating any text nodes
-    await figma.loadFontAsync({ family: "Inter", style: "Regular" });
-    await figma.loadFontAsync({ family: "Inter", style: "Medium" });
-    await figma.loadFontAsync({ family: "Inter", style: "Bold" });
-    
-    // Create a new frame for the comparison
-    const frame = figma.createFrame();
-    frame.name = "Component Migration Visual";
-    frame.layoutMode = "VERTICAL";
-    frame.layoutAlign = "STRETCH";
-    frame.itemSpacing = 24;
-    frame.paddingLeft = 40;
-    frame.paddingRight = 40;
-    frame.paddingTop = 40;
-    frame.paddingBottom = 40;
-    frame.fills = [{ type: 'SOLID', color: { r: 0.98, g: 0.98, b: 0.98 } }];
-    frame.primaryAxisSizingMode = "AUTO";
-    frame.counterAxisSizingMode = "AUTO";
-    
-    // Position the frame in view
-    frame.x = figma.viewport.center.x - 400;
-    frame.y = figma.viewport.center.y - 300;
-    
-    let hasErrors = false;
+    guideFonts = await loadGuideFonts(options.fontFamily);
+
+    const page = findOrCreateGuidePage();
+    await figma.setCurrentPageAsync(page);
+
+    const guideId = `set:${options.setId}`;
+    let guide = page.findChild((node) => node.type === 'FRAME' && node.getPluginData(GUIDE_KEY) === guideId) as FrameNode | null;
+    const isUpdate = !!guide;
+    if (!guide) {
+      // New guides go to the right of whatever is already on the page
+      const right = page.children.reduce((max, node) => Math.max(max, node.x + node.width + 120), 0);
+      guide = figma.createFrame();
+      guide.setPluginData(GUIDE_KEY, guideId);
+      guide.x = right;
+      guide.y = 0;
+    }
+    setupAutoLayout(guide, `Migration Guide – ${options.setName}`, 'VERTICAL', 32, 48);
+    guide.fills = [{ type: 'SOLID', color: { r: 0.98, g: 0.98, b: 0.98 } }];
+
+    // Reuse the cover and section frames from the last run, in their new order
+    const previousFrames = new Map<string, FrameNode>();
+    for (const child of guide.children) {
+      const key = child.getPluginData(GUIDE_KEY);
+      if (child.type === 'FRAME' && key) {
+        previousFrames.set(key, child);
+      } else {
+        child.remove();
+      }
+    }
+    const guideFrame = guide;
+    const reuseFrame = (key: string): FrameNode => {
+      const frame = previousFrames.get(key) || figma.createFrame();
+      previousFrames.delete(key);
+      frame.setPluginData(GUIDE_KEY, key);
+      for (const child of frame.children.slice()) {
+        child.remove();
+      }
+      guideFrame.appendChild(frame);
+      return frame;
+    };
+
+    buildGuideCover(reuseFrame('cover'), mappings, options);
+    for (const section of groupMappings(mappings, options.groupBy, libraryRegistry)) {
+      await buildGuideSection(reuseFrame(`section:${section.key}`), section);
+    }
+
+    // Sections whose mappings were all removed since the last run
+    previousFrames.forEach((frame) => frame.remove());
+
+    figma.currentPage.selection = [guide];
+    figma.viewport.scrollAndZoomIntoView([guide]);
+
+    const action = isUpdate ? 'updated' : 'created';
+    postToUI({
+      type: 'message',
+      text: guideHasErrors ?
+        `Migration guide ${action} with some errors. Some components may not be available.` :
+        `Migration guide ${action} on the "${page.name}" page.`,
+      variant: guideHasErrors ? 'warning' : 'info',
+      timeout: 3000
+    });
+
+  } catch (err) {
+    console.error('Error generating visuals:', err);
+    postToUI({
+      type: 'message',
+      text: 'Failed to generate migration guide',
+      variant: 'error',
+      timeout: 3000
+    });
+  } finally {
+    // A failed run mustn't leave its fonts or error flag to the next one
+    guideFonts = DEFAULT_GUIDE_FONTS;
+    guideHasErrors = false;
+  }
+}
+
+// Load the requested font family, falling back to Inter and then to any font that's available
+async function loadGuideFonts(family: string): Promise<GuideFonts> {
+  const tryLoad = async (font: FontName): Promise<boolean> => {
+    try {
+      await figma.loadFontAsync(font);
+      return true;
+    } catch (_err) {
+      return false;
+    }
+  };
+
+  for (const candidate of [family, 'Inter']) {
+    const regular: FontName = { family: candidate, style: 'Regular' };
+    if (!candidate || !(await tryLoad(regular))) continue;
+
+    // Families without Medium or Bold use the next lighter style
+    const medium: FontName = { family: candidate, style: 'Medium' };
+    const bold: FontName = { family: candidate, style: 'Bold' };
+    const mediumFont = (await tryLoad(medium)) ? medium : regular;
+    return {
+      regular,
+      medium: mediumFont,
+      bold: (await tryLoad(bold)) ? bold : mediumFont
+    };
+  }
+
+  const [fallback] = await figma.listAvailableFontsAsync();
+  await figma.loadFontAsync(fallback.fontName);
+  return { regular: fallback.fontName, medium: fallback.fontName, bold: fallback.fontName };
+}
+
+function findOrCreateGuidePage(): PageNode {
+  const existing = figma.root.children.find((page) => page.getPluginData(GUIDE_KEY) === 'page');
+  if (existing) {
+    return existing;
+  }
+
+  const page = figma.createPage();
+  page.name = GUIDE_PAGE_NAME;
+  page.setPluginData(GUIDE_KEY, 'page');
+  return page;
+}
+
+function buildGuideCover(cover: FrameNode, mappings: Mapping[], options: GuideOptions) {
+  setupAutoLayout(cover, 'Cover', 'VERTICAL', 8, 40);
+  cover.fills = [{ type: 'SOLID', color: { r: 0.1, g: 0.1, b: 0.1 } }];
+  cover.cornerRadius = 12;
+  cover.layoutAlign = 'STRETCH';
+
+  const white = { r: 1, g: 1, b: 1 };
+  cover.appendChild(createGuideText('MIGRATION GUIDE', 12, 'bold', { r: 0.6, g: 0.6, b: 0.6 }));
+  cover.appendChild(createGuideText(options.setName, 32, 'bold', white));
+  cover.appendChild(createGuideText(`Generated ${new Date().toISOString().split('T')[0]}`, 14, 'regular', white));
+
+  const counts = new Map<MappingStatus, number>();
+  for (const mapping of mappings) {
+    const status = mapping.status || 'draft';
+    counts.set(status, (counts.get(status) || 0) + 1);
+  }
+  const summary = [`${mappings.length} mapping${mappings.length !== 1 ? 's' : ''}`];
+  counts.forEach((count, status) => summary.push(`${count} ${MAPPING_STATUS_STYLES[status].label.toLowerCase()}`));
+  cover.appendChild(createGuideText(summary.join(' · '), 14, 'regular', { r: 0.75, g: 0.75, b: 0.75 }));
+}
+
+async function buildGuideSection(frame: FrameNode, section: GuideSection) {
+  setupAutoLayout(frame, section.title, 'VERTICAL', 16, 0);
+  frame.fills = [];
+  frame.appendChild(createGuideText(section.title, 20, 'bold', { r: 0.1, g: 0.1, b: 0.1 }));
+
+  for (const mapping of section.rows) {
+    try {
+      frame.appendChild(await createGuideRow(mapping));
+    } catch (err) {
+      console.error('Error creating visual for mapping:', err);
+      guideHasErrors = true;
+    }
+  }
+
+  for (const matrix of section.matrices) {
+    try {
+      frame.appendChild(await createVariantMatrix(matrix.componentSet, matrix.mappings));
+    } catch (err) {
+      console.error('Error creating variant matrix:', err);
+      guideHasErrors = true;
+    }
+  }
+}
+
+// One OLD → NEW card with the mapping's status, tags and notes
+async function createGuideRow(mapping: Mapping): Promise<FrameNode> {
+  const row = createCard(`${describeComponent(mapping.oldName || 'Old').name} → ${describeComponent(mapping.newName || 'New').name}`, 'HORIZONTAL');
+
+  row.appendChild(await createComponentColumn('OLD', { r: 0.8, g: 0.2, b: 0.2 }, mapping.oldKey, mapping.oldName, mapping.oldVariantProperties));
+  row.appendChild(createGuideText('→', 24, 'regular', { r: 0.4, g: 0.4, b: 0.4 }));
+
+  const type = mapping.type || 'replace';
+  if (type === 'replace') {
+    row.appendChild(await createComponentColumn('NEW', { r: 0.2, g: 0.6, b: 0.2 }, mapping.newKey, mapping.newName, mapping.newVariantProperties));
+  } else {
+    // What happens instead when there's no single replacement
+    const column = createAutoLayout('NEW', 'VERTICAL', 12);
+    const color = type === 'conditional' ? { r: 0.2, g: 0.6, b: 0.2 } : { r: 0.8, g: 0.2, b: 0.2 };
+    column.appendChild(createGuideText(MAPPING_TYPE_LABELS[type].toUpperCase(), 12, 'bold', color));
+    await appendReplacementDetails(column, mapping);
+    row.appendChild(column);
+  }
+
+  row.appendChild(createMappingDetails(mapping));
+  if (type === 'replace') {
+    row.appendChild(createDiffAnnotation(await measureMapping(mapping.oldKey, mapping.newKey)));
+  }
+  return row;
+}
+
+// Every variant pair of a component set mapping, one line each
+async function createVariantMatrix(componentSet: ComponentSetMapping, mappings: Mapping[]): Promise<FrameNode> {
+  const matrix = createCard(`${componentSet.oldSetName} → ${componentSet.newSetName}`, 'VERTICAL');
+  matrix.appendChild(createGuideText(`${componentSet.oldSetName} → ${componentSet.newSetName}`, 16, 'medium', { r: 0.1, g: 0.1, b: 0.1 }));
+  matrix.appendChild(createGuideText(`${mappings.length} variant${mappings.length !== 1 ? 's' : ''}`, 12, 'regular', { r: 0.6, g: 0.6, b: 0.6 }));
+
+  const sorted = mappings.slice().sort((a, b) =>
+    describeComponent('', a.oldVariantProperties).variants.localeCompare(describeComponent('', b.oldVariantProperties).variants)
+  );
+  for (const mapping of sorted) {
+    const line = createAutoLayout('Variant', 'HORIZONTAL', 24);
+    line.counterAxisAlignItems = 'CENTER';
+
+    const labels = createAutoLayout('Variant properties', 'VERTICAL', 4);
+    labels.counterAxisSizingMode = 'FIXED';
+    labels.resize(200, labels.height);
+    const oldVariants = describeComponent('', mapping.oldVariantProperties).variants || describeComponent(mapping.oldName).name;
+    const newVariants = describeComponent('', mapping.newVariantProperties).variants || describeComponent(mapping.newName).name;
+    labels.appendChild(createWrappingText(oldVariants, 11, 'medium', { r: 0.1, g: 0.1, b: 0.1 }));
+    labels.appendChild(createWrappingText(`→ ${newVariants}`, 11, 'regular', { r: 0.4, g: 0.4, b: 0.4 }));
+    line.appendChild(labels);
+
+    await appendComponentPreview(line, mapping.oldKey);
+    line.appendChild(createGuideText('→', 16, 'regular', { r: 0.4, g: 0.4, b: 0.4 }));
+    await appendComponentPreview(line, mapping.newKey);
+
+    const status = MAPPING_STATUS_STYLES[mapping.status || 'draft'] || MAPPING_STATUS_STYLES.draft;
+    line.appendChild(createGuideText(status.label.toUpperCase(), 10, 'bold', status.color));
+    const diff = await measureMapping(mapping.oldKey, mapping.newKey);
+    if (diff && diff.risk !== 'none') {
+      line.appendChild(createGuideText(summarizeDiff(diff), 10, 'medium', DIFF_RISK_COLORS[diff.risk]));
+    }
+    if (mapping.notes) {
+      line.appendChild(createGuideText(mapping.notes, 11, 'regular', { r: 0.2, g: 0.2, b: 0.2 }));
+    }
+    matrix.appendChild(line);
+  }
+
+  return matrix;
+}
+
+// Label, name, library, variants and a live instance for one side of a mapping
+async function createComponentColumn(label: string, labelColor: RGB, key: string, name: string, variantProperties?: VariantProperties | null): Promise<FrameNode> {
+  const column = createAutoLayout(label, 'VERTICAL', 12);
+  column.appendChild(createGuideText(label, 12, 'bold', labelColor));
+
+  const title = createAutoLayout('Title', 'VERTICAL', 4);
+  const description = describeComponent(name || 'Component', variantProperties);
+  title.appendChild(createGuideText(description.name, 16, 'medium', { r: 0.1, g: 0.1, b: 0.1 }));
+  title.appendChild(createGuideText(`(${getLibraryNameFromKey(libraryRegistry, key)})`, 12, 'regular', { r: 0.6, g: 0.6, b: 0.6 }));
+  if (description.variants) {
+    title.appendChild(createGuideText(description.variants, 11, 'regular', { r: 0.5, g: 0.5, b: 0.5 }));
+  }
+  column.appendChild(title);
+
+  await appendComponentPreview(column, key);
+  return column;
+}
+
+// Append an instance of a component, or a warning when it can't be imported
+async function appendComponentPreview(parent: FrameNode, key: string) {
+  try {
+    const component = await importPreviewComponent(key);
+    if (component) {
+      parent.appendChild(component.createInstance());
+    }
+  } catch (_err) {
+    parent.appendChild(createGuideText('⚠️ Component not found', 12, 'regular', { r: 0.8, g: 0.2, b: 0.2 }));
+    guideHasErrors = true;
+  }
+}
+
+// Import a component for previewing; a component set key previews its default variant
+async function importPreviewComponent(key: string): Promise<ComponentNode | null> {
+  const formattedKey = formatComponentKey(key);
+  try {
+    return await figma.importComponentByKeyAsync(formattedKey);
+  } catch (_err) {
+    const componentSet = await figma.importComponentSetByKeyAsync(formattedKey);
+    return componentSet.defaultVariant;
+  }
+}
+
+// Describe a detach, remove or conditional mapping in the NEW column of the guide
+async function appendReplacementDetails(section: FrameNode, mapping: Mapping) {
+  const muted = { r: 0.3, g: 0.3, b: 0.3 };
+  if (mapping.type === 'detach') {
+    section.appendChild(createGuideText('No replacement: instances are detached and keep their layers', 12, 'regular', muted));
+    return;
+  }
+  if (mapping.type === 'remove') {
+    section.appendChild(createGuideText('No replacement: instances are deleted', 12, 'regular', muted));
+    return;
+  }
+
+  // Conditional: one line and preview per branch, then the fallback
+  const branches = (mapping.conditions || []).map((condition) => ({
+    label: `${condition.property}=${condition.value} →`,
+    key: condition.newKey,
+    name: describeComponent(condition.newName || 'Component', condition.newVariantProperties).name
+  }));
+  branches.push({
+    label: 'Otherwise →',
+    key: mapping.newKey,
+    name: mapping.newKey ? describeComponent(mapping.newName || 'Component', mapping.newVariantProperties).name : 'left unchanged'
+  });
+
+  for (const branch of branches) {
+    section.appendChild(createGuideText(`${branch.label} ${branch.name}`, 12, 'medium', { r: 0.1, g: 0.1, b: 0.1 }));
+    if (branch.key) {
+      await appendComponentPreview(section, branch.key);
+    }
+  }
+}
+
+// Measured differences shown next to a mapping pair in the guide
+function createDiffAnnotation(diff: VisualDiff | null): FrameNode {
+  const annotation = createAutoLayout('Diff', 'VERTICAL', 6);
+  annotation.counterAxisSizingMode = 'FIXED';
+  annotation.resize(220, annotation.height);
+  
+  const color = diff ? DIFF_RISK_COLORS[diff.risk] : DIFF_RISK_COLORS.high;
+  annotation.appendChild(createGuideText(diff ? `DIFF · ${diff.risk.toUpperCase()} RISK` : 'DIFF', 11, 'bold', color));
+  
+  const lines = diff ? describeDiff(diff) : ['Could not compare the components'];
+  for (const line of lines.length ? lines : ['No measured differences']) {
+    annotation.appendChild(createWrappingText(line, 11, 'regular', { r: 0.3, g: 0.3, b: 0.3 }));
+  }
+  return annotation;
+}
+
+// One-line version for the variant matrix
+function summarizeDiff(diff: VisualDiff): string {
+  const lines = describeDiff(diff);
+  return lines.length > 1 ? `${lines[0]} (+${lines.length - 1} more)` : lines[0];
+}
+
+// Status, tags and notes shown next to a mapping pair in the guide
+function createMappingDetails(mapping: Mapping): FrameNode {
+  const details = createAutoLayout('Details', 'VERTICAL', 8);
+  details.counterAxisSizingMode = 'FIXED';
+  details.resize(220, details.height);
+
+  const status = MAPPING_STATUS_STYLES[mapping.status || 'draft'] || MAPPING_STATUS_STYLES.draft;
+  details.appendChild(createGuideText(status.label.toUpperCase(), 11, 'bold', status.color));
+
+  const tags = mapping.tags || [];
+  if (tags.length > 0) {
+    details.appendChild(createWrappingText(tags.map((tag) => `#${tag}`).join(' '), 11, 'medium', { r: 0.4, g: 0.4, b: 0.4 }));
+  }
+  if (mapping.notes) {
+    details.appendChild(createWrappingText(mapping.notes, 12, 'regular', { r: 0.2, g: 0.2, b: 0.2 }));
+  }
+
+  return details;
+}
+
+function setupAutoLayout(frame: FrameNode, name: string, direction: 'HORIZONTAL' | 'VERTICAL', itemSpacing: number, padding = 0) {
+  frame.name = name;
+  frame.layoutMode = direction;
+  frame.itemSpacing = itemSpacing;
+  frame.paddingLeft = padding;
+  frame.paddingRight = padding;
+  frame.paddingTop = padding;
+  frame.paddingBottom = padding;
+  frame.primaryAxisSizingMode = 'AUTO';
+  frame.counterAxisSizingMode = 'AUTO';
+}
+
+function createAutoLayout(name: string, direction: 'HORIZONTAL' | 'VERTICAL', itemSpacing: number, padding = 0): FrameNode {
+  const frame = figma.createFrame();
+  setupAutoLayout(frame, name, direction, itemSpacing, padding);
+  frame.fills = [];
+  return frame;
+}
+
+// White rounded card used for rows and variant matrices
+function createCard(name: string, direction: 'HORIZONTAL' | 'VERTICAL'): FrameNode {
+  const card = createAutoLayout(name, direction, direction === 'HORIZONTAL' ? 32 : 12, 24);
+  card.fills = [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }];
+  card.strokes = [{ type: 'SOLID', color: { r: 0.9, g: 0.9, b: 0.9 } }];
+  card.strokeWeight = 1;
+  card.cornerRadius = 8;
+  return card;
+}
+
+function createGuideText(characters: string, fontSize: number, weight: keyof GuideFonts, color: RGB): TextNode {
+  const text = figma.createText();
+  // Set the font first: the default font may not be loaded
+  text.fontName = guideFonts[weight];
+  text.characters = characters;
+  text.fontSize = fontSize;
+  text.fills = [{ type: 'SOLID', color }];
+  return text;
+}
+
+// Text that fills its parent's width and wraps
+function createWrappingText(characters: string, fontSize: number, weight: keyof GuideFonts, color: RGB): TextNode {
+  const text = createGuideText(characters, fontSize, weight, color);
+  text.layoutAlign = 'STRETCH';
+  text.textAutoResize = 'HEIGHT';
+  return text;
+}
+
+// Compare the old and new component of each pair and report the differences to the UI
+async function measureDiffs(pairs: { oldKey: string; newKey: string }[]) {
+  const results: { oldKey: string; newKey: string; diff: VisualDiff | null }[] = [];
+  for (const pair of pairs) {
+    results.push({ ...pair, diff: await measureMapping(pair.oldKey, pair.newKey) });
+  }
+  
+  postToUI({
+    type: 'visualDiffs',
+    results
+  });
+}
+
+async function measureMapping(oldKey: string, newKey: string): Promise<VisualDiff | null> {
+  try {
+    const [oldComponent, newComponent] = await Promise.all([importPreviewComponent(oldKey), importPreviewComponent(newKey)]);
+    return oldComponent && newComponent ? await computeVisualDiff(oldComponent, newComponent) : null;
+  } catch (_err) {
+    return null;
+  }
+}
+
+// Node-level comparison: size, auto-layout padding and spacing, fill, stroke and text styles, property names
+async function computeVisualDiff(oldComponent: ComponentNode, newComponent: ComponentNode): Promise<VisualDiff> {
+  const changes: string[] = [];
+  const compare = (label: string, before: string, after: string) => {
+    if (before !== after) {
+      changes.push(`${label}: ${before} → ${after}`);
+    }
+  };
+  
+  const spacing = (node: ComponentNode) => node.layoutMode === 'NONE' ? null : {
+    padding: [node.paddingTop, node.paddingRight, node.paddingBottom, node.paddingLeft].map(formatNumber).join('/'),
+    gap: formatNumber(node.itemSpacing)
+  };
+  const oldSpacing = spacing(oldComponent);
+  const newSpacing = spacing(newComponent);
+  if (oldSpacing && newSpacing) {
+    compare('Padding', oldSpacing.padding, newSpacing.padding);
+    compare('Spacing', oldSpacing.gap, newSpacing.gap);
+  } else if (oldSpacing || newSpacing) {
+    compare('Auto layout', oldSpacing ? 'on' : 'off', newSpacing ? 'on' : 'off');
+  }
+  
+  compare('Fill', await describePaints(oldComponent, 'fill'), await describePaints(newComponent, 'fill'));
+  compare('Stroke', await describePaints(oldComponent, 'stroke'), await describePaints(newComponent, 'stroke'));
+  
+  const oldText = await describeTextStyles(oldComponent);
+  const newText = await describeTextStyles(newComponent);
+  const removedText = oldText.filter((style) => !newText.includes(style));
+  const addedText = newText.filter((style) => !oldText.includes(style));
+  if (removedText.length || addedText.length) {
+    changes.push(`Text: ${removedText.join(', ') || 'none'} → ${addedText.join(', ') || 'none'}`);
+  }
+  
+  const oldProperties = Object.keys(getComponentProperties(oldComponent));
+  const newProperties = Object.keys(getComponentProperties(newComponent));
+  const removedProperties = oldProperties.filter((name) => !newProperties.includes(name));
+  const addedProperties = newProperties.filter((name) => !oldProperties.includes(name));
+  
+  const widthDelta = Math.round((newComponent.width - oldComponent.width) * 100) / 100;
+  const heightDelta = Math.round((newComponent.height - oldComponent.height) * 100) / 100;
+  let risk: DiffRisk = 'none';
+  if (Math.abs(widthDelta) > RISKY_SIZE_DELTA || Math.abs(heightDelta) > RISKY_SIZE_DELTA || removedProperties.length > 0) {
+    risk = 'high';
+  } else if (widthDelta || heightDelta || changes.length || addedProperties.length) {
+    risk = 'low';
+  }
+  
+  return { widthDelta, heightDelta, changes, removedProperties, addedProperties, risk };
+}
+
+function formatNumber(value: number): string {
+  return String(Math.round(value * 100) / 100);
+}
+
+// A fill or stroke as its style name, or its paints when no style is applied
+async function describePaints(node: ComponentNode, kind: 'fill' | 'stroke'): Promise<string> {
+  const styleId = kind === 'fill' ? node.fillStyleId : node.strokeStyleId;
+  if (typeof styleId === 'string' && styleId) {
+    const style = await figma.getStyleByIdAsync(styleId);
+    if (style) {
+      return style.name;
+    }
+  }
+  
+  const paints = kind === 'fill' ? node.fills : node.strokes;
+  if (paints === figma.mixed) {
+    return 'mixed';
+  }
+  const visible = paints.filter((paint) => paint.visible !== false);
+  if (visible.length === 0) {
+    return 'none';
+  }
+  return visible.map((paint) => paint.type === 'SOLID' ? rgbToHex(paint.color) : paint.type.toLowerCase()).join(' + ');
+}
+
+function rgbToHex(color: RGB): string {
+  return '#' + [color.r, color.g, color.b].map((channel) => Math.round(channel * 255).toString(16).padStart(2, '0')).join('');
+}
+
+// Unique text styles used inside a component: style names, or family, style and size
+async function describeTextStyles(component: ComponentNode): Promise<string[]> {
+  const styles = new Set<string>();
+  for (const text of component.findAllWithCriteria({ types: ['TEXT'] })) {
+    if (typeof text.textStyleId === 'string' && text.textStyleId) {
+      const style = await figma.getStyleByIdAsync(text.textStyleId);
+      if (style) {
+        styles.add(style.name);
+        continue;
+      }
+    }
+    if (text.fontName === figma.mixed || text.fontSize === figma.mixed) {
+      styles.add('mixed');
+    } else {
+      styles.add(`${text.fontName.family} ${text.fontName.style} ${formatNumber(text.fontSize)}`);
+    }
+  }
+  return Array.from(styles).sort();
+}
+
+// Where a migration run looks for instances: the selected layers, the current page or every page
+async function getScopeRoots(scope: MigrationScope): Promise<(PageNode | SceneNode)[]> {
+  if (scope === 'page') {
+    return [figma.currentPage];
+  }
+  if (scope === 'file') {
+    await figma.loadAllPagesAsync();
+    return figma.root.children.slice();
+  }
+  return figma.currentPage.selection.slice();
+}
+
+// Local main components used inside the roots, including ones used by those components in turn.
+// Swapping inside a main component updates every instance of it, wherever they are
+async function findLocalMainComponents(roots: (PageNode | SceneNode)[]): Promise<ComponentNode[]> {
+  const found = new Map<string, ComponentNode>();
+  const queue = roots.slice();
+  while (queue.length > 0) {
+    const root = queue.shift()!;
+    const instances = 'findAllWithCriteria' in root ? root.findAllWithCriteria({ types: ['INSTANCE'] }) : [];
+    for (const instance of root.type === 'INSTANCE' ? [root, ...instances] : instances) {
+      const mainComponent = await instance.getMainComponentAsync();
+      if (mainComponent && !mainComponent.remote && !found.has(mainComponent.id)) {
+        found.set(mainComponent.id, mainComponent);
+        queue.push(mainComponent);
+      }
+    }
+  }
+  return Array.from(found.values());
+}
+
+// Collect the instances inside the roots that sit `depth` instances deep (0: not inside another instance)
+function collectInstances(roots: (PageNode | SceneNode)[], depth: number): InstanceNode[] {
+  const found = new Map<string, InstanceNode>();
+  for (const root of roots) {
+    const instances = 'findAllWithCriteria' in root ? root.findAllWithCriteria({ types: ['INSTANCE'] }) : [];
+    for (const instance of root.type === 'INSTANCE' ? [root, ...instances] : instances) {
+      if (!found.has(instance.id) && getNestingDepth(instance, root) === depth) {
+        found.set(instance.id, instance);
+      }
+    }
+  }
+  return Array.from(found.values());
+}
+
+// Number of instances between a node and the root it was found in, counting the root itself
+function getNestingDepth(node: SceneNode, root: BaseNode): number {
+  let depth = 0;
+  let parent = node === root ? null : node.parent;
+  while (parent) {
+    if (parent.type === 'INSTANCE') {
+      depth++;
+    }
+    if (parent === root) break;
+    parent = parent.parent;
+  }
+  return depth;
+}
+
+// Import a component once per run, remembering failures so we don't retry them
+async function importComponentCached(cache: Map<string, ComponentNode | null>, key: string): Promise<ComponentNode | null> {
+  if (!cache.has(key)) {
+    try {
+      cache.set(key, await figma.importComponentByKeyAsync(key));
+    } catch (err) {
+      console.error('Error importing component:', key, err);
+      cache.set(key, null);
+    }
+  }
+  return cache.get(key) || null;
+}
+
+// Import a component set by key and return its default variant, cached alongside importComponentCached
+async function importDefaultVariantCached(cache: Map<string, ComponentNode | null>, key: string): Promise<ComponentNode | null> {
+  const cacheKey = `set:${key}`;
+  if (!cache.has(cacheKey)) {
+    try {
+      cache.set(cacheKey, (await figma.importComponentSetByKeyAsync(key)).defaultVariant);
+    } catch (err) {
+      console.error('Error importing component set:', key, err);
+      cache.set(cacheKey, null);
+    }
+  }
+  return cache.get(cacheKey) || null;
+}
+
+// Find the rule that applies to an old property value, preferring value-specific rules
+function findPropertyRule(rules: PropertyRule[], name: string, value: string | boolean): PropertyRule | undefined {
+  const matching = rules.filter((rule) => rule.fromName === name);
+  return matching.find((rule) => rule.fromValue && rule.fromValue === String(value))
+    || matching.find((rule) => !rule.fromValue);
+}
+
+// Convert a property value to the type the target property expects
+function convertPropertyValue(value: string | boolean, type: ComponentPropertyType): string | boolean {
+  if (type === 'BOOLEAN') {
+    return typeof value === 'boolean' ? value : value.toLowerCase() === 'true';
+  }
+  return String(value);
+}
+
+// Re-apply variant choices and overridden properties on a swapped instance. Variant choices without
+// a rule only carry over when the target was a component set; an explicit variant target keeps its own.
+// Returns the names of old properties that could not be carried over.
+function carryOverProperties(
+  instance: InstanceNode,
+  previousProperties: InstanceNode['componentProperties'],
+  previousDefinitions: PropertyDefinitions,
+  newDefinitions: PropertyDefinitions,
+  rules: PropertyRule[],
+  targetIsSet: boolean
+): string[] {
+  const dropped: string[] = [];
+  const updates: PropertyValues = {};
+  const newKeys = Object.keys(instance.componentProperties);
+  
+  for (const key of Object.keys(previousProperties)) {
+    const name = getPropertyName(key);
+    const { type, value } = previousProperties[key];
+    const rule = findPropertyRule(rules, name, value as string | boolean);
+    
+    // Without a rule, only carry variant choices into a component set and values that were overridden
+    const previousDefault = previousDefinitions[name]?.defaultValue;
+    if (!rule && (type === 'VARIANT' ? !targetIsSet : value === previousDefault)) {
+      continue;
+    }
+    
+    const targetName = rule ? rule.toName : name;
+    const targetKey = newKeys.find((newKey) => getPropertyName(newKey) === targetName);
+    const definition = newDefinitions[targetName];
+    if (!targetKey || !definition) {
+      // An unmapped variant the new component doesn't have is expected, not a loss
+      if (rule || type !== 'VARIANT') {
+        dropped.push(name);
+      }
+      continue;
+    }
+    
+    const targetValue = convertPropertyValue(rule?.toValue || (value as string | boolean), definition.type);
+    if (definition.type === 'VARIANT' && !definition.variantOptions?.includes(String(targetValue))) {
+      dropped.push(name);
+      continue;
+    }
+    if (!rule && definition.type !== type) {
+      dropped.push(name);
+      continue;
+    }
+    updates[targetKey] = targetValue;
+  }
+  
+  for (const key of setPropertiesSafely(instance, updates)) {
+    dropped.push(getPropertyName(key));
+  }
+  return dropped;
+}
+
+// Set instance properties, returning the keys that could not be set
+function setPropertiesSafely(instance: InstanceNode, updates: PropertyValues): string[] {
+  const failed: string[] = [];
+  if (Object.keys(updates).length === 0) {
+    return failed;
+  }
+  
+  try {
+    instance.setProperties(updates);
+  } catch (_err) {
+    // Fall back to one property at a time so a single bad value doesn't lose the rest
+    for (const key of Object.keys(updates)) {
+      try {
+        instance.setProperties({ [key]: updates[key] });
+      } catch (err) {
+        console.log('Could not set property:', key, err);
+        failed.push(key);
+      }
+    }
+  }
+  return failed;
+}
+
+// Flatten componentProperties into the { key: value } shape setProperties accepts
+function getPropertyValues(properties: InstanceNode['componentProperties']): PropertyValues {
+  const values: PropertyValues = {};
+  for (const key of Object.keys(properties)) {
+    values[key] = properties[key].value as string | boolean;
+  }
+  return values;
+}
+
+// Swap every instance of an old component for its mapped replacement. With includeNested, instances
+// inside other instances and inside the local main components they use are migrated as well
+async function applyMigration(mappings: Mapping[], scope: MigrationScope, set: SetReference | null, includeNested: boolean) {
+  try {
+    const resultsByOldKey = new Map<string, MigrationResult>();
+    const mappingsByOldKey = new Map<string, Mapping>();
+    for (const mapping of mappings) {
+      const oldKey = formatComponentKey(mapping.oldKey);
+      if (!resultsByOldKey.has(oldKey)) {
+        mappingsByOldKey.set(oldKey, mapping);
+        resultsByOldKey.set(oldKey, {
+          oldKey: mapping.oldKey,
+          newKey: mapping.newKey,
+          oldName: mapping.oldName,
+          newName: mapping.newName,
+          swapped: 0,
+          detached: 0,
+          removed: 0,
+          skipped: 0,
+          failed: 0,
+          errors: [],
+          droppedProperties: [],
+          nodeReports: []
+        });
+      }
+    }
+    
+    // Outer instances go first. Swapping one replaces its children, so each level of nesting is
+    // collected again after the level above it has been swapped
+    const roots = await getScopeRoots(scope);
+    if (includeNested) {
+      roots.unshift(...await findLocalMainComponents(roots));
+    }
+    const componentCache = new Map<string, ComponentNode | null>();
+    const logEntries: RunLogEntry[] = [];
+    for (let depth = 0; depth <= (includeNested ? MAX_NESTING_DEPTH : 0); depth++) {
+      const instances = collectInstances(roots, depth);
+      if (instances.length === 0) break;
+      
+      // Resolve every main component and record overrides before anything at this level changes
+      const matches: MigrationMatch[] = [];
+      for (const instance of instances) {
+        const mainComponent = await instance.getMainComponentAsync();
+        if (!mainComponent) continue;
+        
+        // A mapping for the exact variant wins over a conditional mapping for its whole component set
+        const setKey = getComponentSetKey(mainComponent);
+        const matchedKey = resultsByOldKey.has(mainComponent.key) ? mainComponent.key : setKey;
+        const result = matchedKey ? resultsByOldKey.get(matchedKey) : undefined;
+        if (result) {
+          matches.push({
+            instance,
+            result,
+            mapping: mappingsByOldKey.get(matchedKey!)!,
+            previousComponent: mainComponent,
+            previousProperties: instance.componentProperties,
+            previousDefinitions: getComponentProperties(mainComponent),
+            overrides: await captureOverrides(instance, mainComponent)
+          });
+        }
+      }
+      
+      for (const match of matches) {
+        const entry = await migrateInstance(match, componentCache);
+        if (entry) {
+          logEntries.push(entry);
+        }
+      }
+    }
+    
+    // Make the whole run a single undo step
+    figma.commitUndo();
+    
+    // The swaps are done by now, so failing to log them must not turn the run into a failure
+    let runId: string | null = null;
+    let warning: string | undefined;
+    if (logEntries.length > 0) {
+      try {
+        runId = recordMigrationRun(scope, logEntries);
+      } catch (err) {
+        console.error('Error logging migration run:', err);
+        warning = 'The run could not be saved to the run history, so it can only be reverted with Figma undo';
+      }
+    }
+    
+    const results = Array.from(resultsByOldKey.values());
+    const migrated = results.reduce((sum, r) => sum + r.swapped + r.detached + r.removed, 0);
+    const status = loadDocumentStatus();
+    status.appliedSet = set;
+    status.appliedAt = Date.now();
+    status.migratedTotal += migrated;
+    await recordDocumentStatus(status, mappings, set);
+    
+    postToUI({
+      type: 'migrationResult',
+      success: true,
+      scope,
+      runId,
+      warning,
+      results,
+      swapped: results.reduce((sum, r) => sum + r.swapped, 0),
+      detached: results.reduce((sum, r) => sum + r.detached, 0),
+      removed: results.reduce((sum, r) => sum + r.removed, 0),
+      skipped: results.reduce((sum, r) => sum + r.skipped, 0),
+      failed: results.reduce((sum, r) => sum + r.failed, 0)
+    });
+    
+  } catch (err) {
+    console.error('Error applying migration:', err);
+    postToUI({
+      type: 'migrationResult',
+      success: false,
+      scope,
+      results: [],
+      swapped: 0,
+      detached: 0,
+      removed: 0,
+      skipped: 0,
+      failed: 0,
+      error: 'Failed to apply migration'
+    });
+  }
+}
+
+// Swap, detach or remove one matched instance. Returns the run log entry for a swap
+async function migrateInstance(match: MigrationMatch, componentCache: Map<string, ComponentNode | null>): Promise<RunLogEntry | null> {
+  const { instance, result, mapping, previousComponent, previousProperties, previousDefinitions } = match;
+  if (instance.removed) {
+    result.skipped++;
+    return null;
+  }
+  
+  const type = mapping.type || 'replace';
+  if (type === 'detach' || type === 'remove') {
+    removeOrDetachInstance(instance, type, result);
+    return null;
+  }
+  
+  const target = type === 'conditional' ? findConditionalTarget(mapping, previousProperties) : mapping.newKey;
+  const newKey = formatComponentKey(target);
+  
+  // Nothing to do for self-mappings or conditional mappings with no matching branch
+  if (!newKey || newKey === previousComponent.key) {
+    result.skipped++;
+    return null;
+  }
+  
+  // A component set key swaps to the set's default variant and then picks variants like the old instance
+  const variant = await importComponentCached(componentCache, newKey);
+  const newComponent = variant || await importDefaultVariantCached(componentCache, newKey);
+  if (!newComponent) {
+    result.failed++;
+    if (!result.errors.some((error) => error.includes(newKey))) {
+      result.errors.push(`Could not import component with key: ${newKey}`);
+    }
+    return null;
+  }
+  
+  try {
+    instance.swapComponent(newComponent);
+    result.swapped++;
+  } catch (err) {
+    console.error('Error swapping instance:', instance.id, err);
+    result.failed++;
+    result.errors.push(`Could not swap "${instance.name}" (${instance.id})`);
+    return null;
+  }
+  
+  const dropped = carryOverProperties(
+    instance,
+    previousProperties,
+    previousDefinitions,
+    getComponentProperties(newComponent),
+    mapping.propertyMap || [],
+    !variant
+  );
+  for (const name of dropped) {
+    if (!result.droppedProperties.includes(name)) {
+      result.droppedProperties.push(name);
+    }
+  }
+  
+  // Layers are restored after properties so they land in the variant the properties picked
+  const lost = dropped.map((name) => `Property "${name}"`);
+  lost.push(...await restoreOverrides(instance, match.overrides, mapping.layerMap || []));
+  if (lost.length > 0) {
+    result.nodeReports.push({ nodeId: instance.id, nodeName: instance.name, lost });
+  }
+  
+  return {
+    nodeId: instance.id,
+    previousKey: previousComponent.key,
+    previousComponentId: previousComponent.id,
+    previousProperties: getPropertyValues(previousProperties),
+    previousOverrides: match.overrides.map(toLoggedOverride)
+  };
+}
+
+function toLoggedOverride(override: LayerOverride): LoggedOverride {
+  const { swapTo, ...logged } = override;
+  return swapTo ? { ...logged, swapToKey: swapTo.key, swapToId: swapTo.id } : logged;
+}
+
+// Path of a layer inside an instance, from the instance down ("" for the instance itself)
+function getLayerPath(node: BaseNode, instance: InstanceNode): string {
+  const names: string[] = [];
+  let current: BaseNode | null = node;
+  while (current && current !== instance) {
+    names.unshift(current.name);
+    current = current.parent;
+  }
+  return names.join(LAYER_PATH_SEPARATOR);
+}
+
+// Find a layer by path, taking the first layer with each name
+function findLayerByPath(root: SceneNode, path: string): SceneNode | null {
+  let node: SceneNode | null = root;
+  for (const name of splitLayerPath(path)) {
+    const children: readonly SceneNode[] = node && 'children' in node ? node.children : [];
+    node = children.find((child) => child.name === name) || null;
+  }
+  return node;
+}
+
+// Record the text, fill and nested instance swap overrides on an instance's layers
+async function captureOverrides(instance: InstanceNode, mainComponent: ComponentNode): Promise<LayerOverride[]> {
+  const overridden = new Map<string, NodeChangeProperty[]>();
+  for (const override of instance.overrides) {
+    overridden.set(override.id, override.overriddenFields);
+  }
+  
+  const captured: LayerOverride[] = [];
+  for (const node of [instance, ...instance.findAll()]) {
+    const path = getLayerPath(node, instance);
+    const override: LayerOverride = { path };
+    const fields = overridden.get(node.id) || [];
+    
+    if (node.type === 'TEXT' && fields.includes('characters')) {
+      override.characters = node.characters;
+    }
+    if ('fills' in node && node.fills !== figma.mixed) {
+      if (fields.includes('fillStyleId') && typeof node.fillStyleId === 'string' && node.fillStyleId) {
+        override.fillStyleId = node.fillStyleId;
+      } else if (fields.includes('fills')) {
+        override.fills = node.fills;
+      }
+    }
+    
+    // Swaps aren't listed as overridden fields, so compare with the same layer in the main component
+    if (node.type === 'INSTANCE' && node !== instance) {
+      const current = await node.getMainComponentAsync();
+      const original = findLayerByPath(mainComponent, path);
+      const originalComponent = original && original.type === 'INSTANCE' ? await original.getMainComponentAsync() : null;
+      if (current && originalComponent && current.id !== originalComponent.id) {
+        override.swapTo = current;
+      }
+    }
+    
+    if (override.characters !== undefined || override.fills || override.fillStyleId || override.swapTo) {
+      captured.push(override);
+    }
+  }
+  return captured;
+}
+
+// Put recorded overrides back on a swapped instance, following the mapping's layer rules.
+// Returns a description of each override that couldn't be restored
+async function restoreOverrides(instance: InstanceNode, overrides: LayerOverride[], rules: LayerRule[]): Promise<string[]> {
+  const lost: string[] = [];
+  const describeLayer = (path: string) => `"${path || instance.name}"`;
+  
+  // Nested swaps first: they replace the layers the other overrides may be on
+  const ordered = overrides.filter((o) => o.swapTo).concat(overrides.filter((o) => !o.swapTo));
+  for (const override of ordered) {
+    const path = mapLayerPath(override.path, rules);
+    const node = findLayerByPath(instance, path);
+    const kinds = [
+      override.swapTo ? `Swap to ${override.swapTo.name}` : '',
+      override.characters !== undefined ? 'Text' : '',
+      override.fills || override.fillStyleId ? 'Fill' : ''
+    ].filter((kind) => kind);
+    if (!node) {
+      lost.push(`${kinds.join(', ')} on ${describeLayer(override.path)}: no layer ${describeLayer(path)} in the new component`);
+      continue;
+    }
+    
+    if (override.swapTo) {
+      try {
+        const current = node.type === 'INSTANCE' ? await node.getMainComponentAsync() : null;
+        if (node.type !== 'INSTANCE') {
+          lost.push(`Swap to ${override.swapTo.name} on ${describeLayer(path)}: layer is not an instance`);
+        } else if (!current || current.id !== override.swapTo.id) {
+          node.swapComponent(override.swapTo);
+        }
+      } catch (err) {
+        console.error('Error restoring nested swap:', node.id, err);
+        lost.push(`Swap to ${override.swapTo.name} on ${describeLayer(path)}`);
+      }
+    }
+    
+    if (override.characters !== undefined) {
+      if (node.type !== 'TEXT') {
+        lost.push(`Text on ${describeLayer(path)}: layer is not a text layer`);
+      } else if (node.characters !== override.characters) {
+        try {
+          await loadFontsOf(node);
+          node.characters = override.characters;
+        } catch (err) {
+          console.error('Error restoring text:', node.id, err);
+          lost.push(`Text on ${describeLayer(path)}: font could not be loaded`);
+        }
+      }
+    }
+    
+    if (override.fills || override.fillStyleId) {
+      try {
+        if (!('fills' in node)) {
+          lost.push(`Fill on ${describeLayer(path)}: layer has no fills`);
+        } else if (override.fillStyleId) {
+          await node.setFillStyleIdAsync(override.fillStyleId);
+        } else if (override.fills) {
+          node.fills = override.fills;
+        }
+      } catch (err) {
+        console.error('Error restoring fill:', node.id, err);
+        lost.push(`Fill on ${describeLayer(path)}`);
+      }
+    }
+  }
+  return lost;
+}
+
+// Load every font used in a text layer so its characters can be changed
+async function loadFontsOf(node: TextNode) {
+  const fonts = node.characters.length > 0
+    ? node.getRangeAllFontNames(0, node.characters.length)
+    : [node.fontName as FontName];
+  for (const font of fonts) {
+    await figma.loadFontAsync(font);
+  }
+}
+
+// Pick the target of a conditional mapping from the instance's property values; the first matching branch wins
+function findConditionalTarget(mapping: Mapping, properties: InstanceNode['componentProperties']): string {
+  for (const condition of mapping.conditions || []) {
+    const matches = Object.keys(properties).some((propertyKey) =>
+      getPropertyName(propertyKey) === condition.property &&
+      String(properties[propertyKey].value) === condition.value
+    );
+    if (matches) {
+      return condition.newKey;
+    }
+  }
+  return mapping.newKey;
+}
+
+// Detach or delete an instance that has no replacement. These aren't logged for rollback:
+// a detached frame can't be swapped back, so Figma's undo is the way to restore them
+function removeOrDetachInstance(instance: InstanceNode, type: 'detach' | 'remove', result: MigrationResult) {
+  // Layers inside another instance can't be detached or deleted on their own
+  if (isInsideInstance(instance)) {
+    result.skipped++;
+    if (!result.errors.some((error) => error.startsWith('Skipped nested'))) {
+      result.errors.push('Skipped nested instances: detach or remove the instance that contains them instead');
+    }
+    return;
+  }
+  
+  try {
+    if (type === 'detach') {
+      instance.detachInstance();
+      result.detached++;
+    } else {
+      instance.remove();
+      result.removed++;
+    }
+  } catch (err) {
+    console.error(`Error trying to ${type} instance:`, instance.id, err);
+    result.failed++;
+    result.errors.push(`Could not ${type} "${instance.name}" (${instance.id})`);
+  }
+}
+
+function isInsideInstance(node: SceneNode): boolean {
+  let parent = node.parent;
+  while (parent && parent.type !== 'PAGE' && parent.type !== 'DOCUMENT') {
+    if (parent.type === 'INSTANCE') {
+      return true;
+    }
+    parent = parent.parent;
+  }
+  return false;
+}
+
+// Read the run log stored on the document
+function loadMigrationRuns(): MigrationRun[] {
+  try {
+    const saved = figma.root.getPluginData(RUN_LOG_KEY);
+    return saved ? JSON.parse(saved) : [];
+  } catch (err) {
+    console.error('Error reading migration runs:', err);
+    return [];
+  }
+}
+
+// Where a run's entries are stored, chunked
+function getRunKey(runId: string): string {
+  return `migrationRun.${runId}`;
+}
+
+function loadRunEntries(run: MigrationRun): RunLogEntry[] {
+  if (run.entries) {
+    return run.entries;
+  }
+  const saved = readChunked(getPrivateData(), getRunKey(run.id));
+  return saved ? JSON.parse(saved) : [];
+}
+
+// Save the run list, moving inline entries to their own keys and dropping the oldest runs
+// past MAX_LOGGED_RUNS or MAX_RUN_LOG_LENGTH. The newest run is always kept
+function saveMigrationRuns(runs: MigrationRun[]) {
+  const store = getPrivateData();
+  for (const run of runs) {
+    if (run.entries) {
+      const value = JSON.stringify(run.entries);
+      writeChunked(store, getRunKey(run.id), value);
+      run.swapped = run.entries.length;
+      run.length = value.length;
+      delete run.entries;
+    }
+  }
+  
+  const kept: MigrationRun[] = [];
+  let total = 0;
+  for (const run of [...runs].reverse()) {
+    total += run.length;
+    if (kept.length > 0 && (kept.length >= MAX_LOGGED_RUNS || total > MAX_RUN_LOG_LENGTH)) {
+      deleteChunked(store, getRunKey(run.id));
+      continue;
+    }
+    kept.unshift(run);
+  }
+  store.set(RUN_LOG_KEY, JSON.stringify(kept));
+}
+
+// Append a run to the log and return its id
+function recordMigrationRun(scope: MigrationScope, entries: RunLogEntry[]): string {
+  const runs = loadMigrationRuns();
+  const run: MigrationRun = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: Date.now(),
+    scope,
+    pageName: scope === 'file' ? 'All pages' : figma.currentPage.name,
+    swapped: entries.length,
+    length: 0
+  };
+  
+  const store = getPrivateData();
+  const value = JSON.stringify(entries);
+  try {
+    writeChunked(store, getRunKey(run.id), value);
+    run.length = value.length;
+    runs.push(run);
+    saveMigrationRuns(runs);
+  } catch (err) {
+    deleteChunked(store, getRunKey(run.id));
+    throw err;
+  }
+  postMigrationRuns();
+  return run.id;
+}
+
+// Send run summaries (without the per-node entries) to the UI
+function postMigrationRuns() {
+  const runs = loadMigrationRuns().map((run) => ({
+    id: run.id,
+    timestamp: run.timestamp,
+    scope: run.scope,
+    pageName: run.pageName,
+    swapped: run.entries ? run.entries.length : run.swapped,
+    rolledBackAt: run.rolledBackAt || null
+  }));
+  
+  postToUI({
+    type: 'migrationRuns',
+    runs: runs.reverse()
+  });
+}
+
+// Find a component recorded in the run log: by key, or by id for unpublished local components
+async function findLoggedComponent(cache: Map<string, ComponentNode | null>, key: string, id: string): Promise<ComponentNode | null> {
+  const imported = await importComponentCached(cache, key);
+  if (imported) {
+    return imported;
+  }
+  const node = await figma.getNodeByIdAsync(id);
+  return node && node.type === 'COMPONENT' ? node : null;
+}
+
+// Turn logged overrides back into ones restoreOverrides can apply.
+// A nested swap whose component can't be found is left out and described in lost
+async function loadLoggedOverrides(cache: Map<string, ComponentNode | null>, logged: LoggedOverride[], lost: string[]): Promise<LayerOverride[]> {
+  const overrides: LayerOverride[] = [];
+  for (const { swapToKey, swapToId, ...override } of logged) {
+    const swapTo = swapToKey !== undefined ? await findLoggedComponent(cache, swapToKey, swapToId || '') : null;
+    if (swapToKey !== undefined && !swapTo) {
+      lost.push(`Nested swap on "${override.path}": component not found`);
+    }
+    overrides.push(swapTo ? { ...override, swapTo } : override);
+  }
+  return overrides;
+}
+
+// Swap every instance touched by a run back to its previous component, properties and layer overrides
+async function rollbackRun(runId: string) {
+  try {
+    const runs = loadMigrationRuns();
+    const run = runs.find((r) => r.id === runId);
+    if (!run || run.rolledBackAt) {
+      postToUI({
+        type: 'rollbackResult',
+        success: false,
+        restored: 0,
+        failed: 0,
+        error: run ? 'This run was already rolled back' : 'Migration run not found'
+      });
+      return;
+    }
+    
+    const componentCache = new Map<string, ComponentNode | null>();
+    let restored = 0;
+    let failed = 0;
+    let incomplete = 0;
     
-    for (const mapping of mappings) {
+    // Undo in reverse order so nested swaps unwind the way they were applied
+    for (const entry of [...loadRunEntries(run)].reverse()) {
+      const node = await figma.getNodeByIdAsync(entry.nodeId);
+      if (!node || node.type !== 'INSTANCE') {
+        failed++;
+        continue;
+      }
+      
+      const previousComponent = await findLoggedComponent(componentCache, entry.previousKey, entry.previousComponentId);
+      if (!previousComponent) {
+        failed++;
+        continue;
+      }
+      
       try {
-        // Create container for this mapping pair (horizontal layout)
-        const pairFrame = figma.createFrame();
-        pairFrame.name = `${mapping.oldName || 'Old'} → ${mapping.newName || 'New'}`;
-        pairFrame.layoutMode = "HORIZONTAL";
-        pairFrame.layoutAlign = "STRETCH";
-        pairFrame.itemSpacing = 32;
-        pairFrame.paddingLeft = 24;
-        pairFrame.paddingRight = 24;
-        pairFrame.paddingTop = 24;
-        pairFrame.paddingBottom = 24;
-        pairFrame.fills = [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }];
-        pairFrame.strokes = [{ type: 'SOLID', color: { r: 0.9, g: 0.9, b: 0.9 } }];
-        pairFrame.strokeWeight = 1;
-        pairFrame.cornerRadius = 8;
-        pairFrame.primaryAxisSizingMode = "AUTO";
-        pairFrame.counterAxisSizingMode = "AUTO";
-        
-        // OLD component section
-        const oldSection = figma.createFrame();
-        oldSection.name = "OLD";
-        oldSection.layoutMode = "VERTICAL";
-        oldSection.layoutAlign = "STRETCH";
-        oldSection.itemSpacing = 12;
-        oldSection.primaryAxisSizingMode = "AUTO";
-        oldSection.counterAxisSizingMode = "AUTO";
-        
-        // OLD label (RED)
-        const oldLabel = figma.createText();
-        oldLabel.characters = "OLD";
-        oldLabel.fontSize = 12;
-        oldLabel.fontName = { family: "Inter", style: "Bold" };
-        oldLabel.fills = [{ type: 'SOLID', color: { r: 0.8, g: 0.2, b: 0.2 } }]; // Red color
-        oldSection.appendChild(oldLabel);
-        
-        // OLD component title and key
-        const oldTitleFrame = figma.createFrame();
-        oldTitleFrame.layoutMode = "VERTICAL";
-        oldTitleFrame.layoutAlign = "STRETCH";
-        oldTitleFrame.itemSpacing = 4;
-        oldTitleFrame.primaryAxisSizingMode = "AUTO";
-        oldTitleFrame.counterAxisSizingMode = "AUTO";
-        
-        // Component name
-        const oldName = figma.createText();
-        const oldParts = (mapping.oldName || 'Component').split('|');
-        const oldCleanName = oldParts[0];
-        oldName.characters = oldCleanName;
-        oldName.fontSize = 16;
-        oldName.fontName = { family: "Inter", style: "Medium" };
-        oldName.fills = [{ type: 'SOLID', color: { r: 0.1, g: 0.1, b: 0.1 } }];
-        oldTitleFrame.appendChild(oldName);
-        
-        // Component key
-        const oldKeyText = figma.createText();
-        const oldLibraryName = getLibraryNameFromKey(mapping.oldKey);
-        oldKeyText.characters = `(${oldLibraryName})`;
-        oldKeyText.fontSize = 12;
-        oldKeyText.fontName = { family: "Inter", style: "Regular" };
-        oldKeyText.fills = [{ type: 'SOLID', color: { r: 0.6, g: 0.6, b: 0.6 } }];
-        oldTitleFrame.appendChild(oldKeyText);
-        
-        // Variant properties (if any)
-        if (oldParts[1]) {
-          const oldVariantText = figma.createText();
-          oldVariantText.characters = oldParts[1];
-          oldVariantText.fontSize = 11;
-          oldVariantText.fontName = { family: "Inter", style: "Regular" };
-          oldVariantText.fills = [{ type: 'SOLID', color: { r: 0.5, g: 0.5, b: 0.5 } }];
-          oldTitleFrame.appendChild(oldVariantText);
+        node.swapComponent(previousComponent);
+      } catch (err) {
+        console.error('Error restoring instance:', entry.nodeId, err);
+        failed++;
+        continue;
+      }
+      
+      // Layers go back after properties, as in migrateInstance. Their paths are the previous component's, so no layer rules apply
+      setPropertiesSafely(node, entry.previousProperties);
+      const lost: string[] = [];
+      const overrides = await loadLoggedOverrides(componentCache, entry.previousOverrides || [], lost);
+      lost.push(...await restoreOverrides(node, overrides, []));
+      if (lost.length > 0) {
+        console.log('Could not restore overrides on', entry.nodeId, lost);
+        incomplete++;
+      }
+      restored++;
+    }
+    
+    figma.commitUndo();
+    run.rolledBackAt = Date.now();
+    try {
+      saveMigrationRuns(runs);
+    } catch (err) {
+      console.error('Error logging rollback:', err);
+    }
+    postMigrationRuns();
+    
+    // Restored instances count as legacy again; remaining counts catch up on the next scan
+    const status = loadDocumentStatus();
+    if (figma.root.getPluginData(MIGRATION_STATUS_KEY)) {
+      status.migratedTotal = Math.max(0, status.migratedTotal - restored);
+      figma.root.setPluginData(MIGRATION_STATUS_KEY, JSON.stringify(status));
+      await postProgressIndex();
+    }
+    
+    postToUI({
+      type: 'rollbackResult',
+      success: true,
+      restored,
+      failed,
+      incomplete
+    });
+    
+  } catch (err) {
+    console.error('Error rolling back run:', err);
+    postToUI({
+      type: 'rollbackResult',
+      success: false,
+      restored: 0,
+      failed: 0,
+      error: 'Failed to roll back migration run'
+    });
+  }
+}
+
+// Find a component set by id, falling back to importing it by key
+async function findComponentSet(info: ComponentSetInfo): Promise<ComponentSetNode | null> {
+  const node = await figma.getNodeByIdAsync(info.id);
+  if (node && node.type === 'COMPONENT_SET') {
+    return node;
+  }
+  try {
+    return await figma.importComponentSetByKeyAsync(info.key);
+  } catch (err) {
+    console.error('Error importing component set:', info.key, err);
+    return null;
+  }
+}
+
+function getVariants(componentSet: ComponentSetNode): VariantInfo[] {
+  return componentSet.children
+    .filter((child): child is ComponentNode => child.type === 'COMPONENT')
+    .map((variant) => ({
+      key: variant.key,
+      variantName: variant.name,
+      ...getComponentDetails(variant)
+    }));
+}
+
+// Rename variant properties/values through the rule table
+function translateVariantProperties(properties: VariantProperties, rules: PropertyRule[]): VariantProperties {
+  const translated: VariantProperties = {};
+  for (const name of Object.keys(properties)) {
+    const rule = findPropertyRule(rules, name, properties[name]);
+    translated[rule ? rule.toName : name] = rule?.toValue || properties[name];
+  }
+  return translated;
+}
+
+function sameValue(a: string | undefined, b: string | undefined): boolean {
+  return a !== undefined && b !== undefined && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// Pick the new variant that agrees with every translated property the new set has.
+// Properties only the new set has are settled by preferring its default variant's values;
+// anything still tied is left for manual resolution.
+function findVariantMatch(
+  translated: VariantProperties,
+  candidates: VariantInfo[],
+  defaults: VariantProperties
+): VariantInfo | null {
+  let best: VariantInfo | null = null;
+  let bestScore = -1;
+  let tied = false;
+  
+  for (const candidate of candidates) {
+    const candidateProps = candidate.variantProperties || {};
+    let matches = 0;
+    let defaultMatches = 0;
+    let conflict = false;
+    
+    for (const name of Object.keys(candidateProps)) {
+      if (name in translated) {
+        if (sameValue(translated[name], candidateProps[name])) {
+          matches++;
+        } else {
+          conflict = true;
+          break;
         }
-        
-        oldSection.appendChild(oldTitleFrame);
-        
-        // Try to create instance of OLD component
+      } else if (sameValue(defaults[name], candidateProps[name])) {
+        defaultMatches++;
+      }
+    }
+    if (conflict || matches === 0) continue;
+    
+    const score = matches * 1000 + defaultMatches;
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+      tied = false;
+    } else if (score === bestScore) {
+      tied = true;
+    }
+  }
+  
+  return tied ? null : best;
+}
+
+// Pair each variant of the old set with a variant of the new set
+async function pairComponentSets(oldSetInfo: ComponentSetInfo, newSetInfo: ComponentSetInfo, rules: PropertyRule[]) {
+  try {
+    const oldSet = await findComponentSet(oldSetInfo);
+    const newSet = await findComponentSet(newSetInfo);
+    if (!oldSet || !newSet) {
+      postToUI({
+        type: 'componentSetPairs',
+        success: false,
+        error: `Could not load the ${oldSet ? 'new' : 'old'} component set`
+      });
+      return;
+    }
+    
+    const newVariants = getVariants(newSet);
+    const defaults = newSet.defaultVariant?.variantProperties || {};
+    const pairs: VariantPair[] = getVariants(oldSet).map((oldVariant) => ({
+      old: oldVariant,
+      new: findVariantMatch(translateVariantProperties(oldVariant.variantProperties || {}, rules), newVariants, defaults)
+    }));
+    
+    postToUI({
+      type: 'componentSetPairs',
+      success: true,
+      oldSet: { ...oldSetInfo, key: oldSet.key, name: oldSet.name },
+      newSet: { ...newSetInfo, key: newSet.key, name: newSet.name },
+      pairs,
+      newVariants
+    });
+    
+  } catch (err) {
+    console.error('Error pairing component sets:', err);
+    postToUI({
+      type: 'componentSetPairs',
+      success: false,
+      error: 'Failed to pair component set variants'
+    });
+  }
+}
+
+// Describe a component for suggestion scoring
+function toSuggestionCandidate(component: ComponentNode): SuggestionCandidate {
+  const details = getComponentDetails(component);
+  const componentSet = component.parent?.type === 'COMPONENT_SET' ? component.parent : null;
+  return {
+    key: component.key,
+    fullName: componentSet ? componentSet.name : component.name,
+    width: component.width,
+    height: component.height,
+    ...details
+  };
+}
+
+// Every component a page offers as a replacement: its own components and those its instances use
+async function collectCandidateComponents(page: PageNode): Promise<SuggestionCandidate[]> {
+  await page.loadAsync();
+  const candidates = new Map<string, SuggestionCandidate>();
+  for (const component of page.findAllWithCriteria({ types: ['COMPONENT'] })) {
+    candidates.set(component.key, toSuggestionCandidate(component));
+  }
+  for (const instance of page.findAllWithCriteria({ types: ['INSTANCE'] })) {
+    const mainComponent = await instance.getMainComponentAsync();
+    if (mainComponent && !candidates.has(mainComponent.key)) {
+      candidates.set(mainComponent.key, toSuggestionCandidate(mainComponent));
+    }
+  }
+  return Array.from(candidates.values());
+}
+
+// Lowercase alphanumeric words, so "Button / Primary-Large" and "button/primary large" compare equal
+function normalizeWords(text: string): string {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Dice coefficient over character bigrams
+function textSimilarity(a: string, b: string): number {
+  const left = normalizeWords(a).replace(/ /g, '');
+  const right = normalizeWords(b).replace(/ /g, '');
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  
+  const bigrams = new Map<string, number>();
+  for (let i = 0; i < left.length - 1; i++) {
+    const bigram = left.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < right.length - 1; i++) {
+    const bigram = right.slice(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      overlap++;
+      bigrams.set(bigram, count - 1);
+    }
+  }
+  return (2 * overlap) / (left.length - 1 + right.length - 1) || 0;
+}
+
+function jaccard(a: string[], b: string[]): number {
+  const left = new Set(a);
+  const right = new Set(b);
+  if (left.size === 0 && right.size === 0) return 0;
+  const shared = Array.from(left).filter((item) => right.has(item)).length;
+  return shared / (left.size + right.size - shared);
+}
+
+// Score how likely a new component replaces an old one, from 0 to 1
+function scoreSuggestion(oldComponent: SuggestionCandidate, newComponent: SuggestionCandidate): { score: number; reasons: string[] } {
+  const baseName = (name: string) => name.split('/').pop() || name;
+  const segments = (name: string) => name.split('/').map(normalizeWords).filter(Boolean);
+  const variantPairs = (props: VariantProperties | null) =>
+    Object.keys(props || {}).map((key) => `${normalizeWords(key)}=${normalizeWords(props![key])}`);
+  
+  const name = textSimilarity(baseName(oldComponent.fullName), baseName(newComponent.fullName));
+  const path = jaccard(segments(oldComponent.fullName), segments(newComponent.fullName));
+  // Two components without variants are neither similar nor different on this measure
+  const bothPlain = !oldComponent.variantProperties && !newComponent.variantProperties;
+  const variants = bothPlain ? 0.5 : jaccard(variantPairs(oldComponent.variantProperties), variantPairs(newComponent.variantProperties));
+  const size = Math.sqrt(
+    (Math.min(oldComponent.width, newComponent.width) / Math.max(oldComponent.width, newComponent.width, 1)) *
+    (Math.min(oldComponent.height, newComponent.height) / Math.max(oldComponent.height, newComponent.height, 1))
+  );
+  
+  const score = name * 0.45 + path * 0.2 + variants * 0.2 + size * 0.15;
+  const percent = (value: number) => `${Math.round(value * 100)}%`;
+  return {
+    score,
+    reasons: [
+      `Name ${percent(name)}`,
+      `Path ${percent(path)}`,
+      bothPlain ? 'No variants' : `Variants ${percent(variants)}`,
+      `Size ${percent(size)}`
+    ]
+  };
+}
+
+// Suggest the most likely replacement for each old component
+async function suggestReplacements(request: SuggestionRequest) {
+  try {
+    const candidatePage = await figma.getNodeByIdAsync(request.candidatePageId);
+    if (!candidatePage || candidatePage.type !== 'PAGE') {
+      postToUI({ type: 'replacementSuggestions', success: false, error: 'Choose the page with the new components' });
+      return;
+    }
+    
+    const candidates = await collectCandidateComponents(candidatePage);
+    const candidateKeys = new Set(candidates.map((c) => c.key));
+    const excludeKeys = new Set(request.excludeKeys.map(formatComponentKey));
+    const oldComponents = new Map<string, SuggestionCandidate>();
+    
+    if (request.oldKeys.length > 0) {
+      for (const key of request.oldKeys.map(formatComponentKey)) {
         try {
-          const formattedKey = formatComponentKey(mapping.oldKey);
-          const oldComponent = await figma.importComponentByKeyAsync(formattedKey);
-          if (oldComponent) {
-            const oldInstance = oldComponent.createInstance();
-            oldSection.appendChild(oldInstance);
-          }
+          const component = await figma.importComponentByKeyAsync(key);
+          oldComponents.set(component.key, toSuggestionCandidate(component));
         } catch (err) {
-          const errorText = figma.createText();
-          errorText.characters = "⚠️ Component not found";
-          errorText.fontSize = 12;
-          errorText.fontName = { family: "Inter", style: "Regular" };
-          errorText.fills = [{ type: 'SOLID', color: { r: 0.8, g: 0.2, b: 0.2 } }];
-          oldSection.appendChild(errorText);
+          console.log('Could not import old component for suggestions:', key, err);
         }
-        
-        pairFrame.appendChild(oldSection);
-        
-        // Arrow container
-        const arrowContainer = figma.createFrame();
-        arrowContainer.layoutMode = "VERTICAL";
-        arrowContainer.layoutAlign = "CENTER";
-        arrowContainer.primaryAxisAlignItems = "CENTER";
-        arrowContainer.counterAxisAlignItems = "CENTER";
-        arrowContainer.primaryAxisSizingMode = "AUTO";
-        arrowContainer.counterAxisSizingMode = "AUTO";
-        
-        const arrowText = figma.createText();
-        arrowText.characters = "→";
-        arrowText.fontSize = 24;
-        arrowText.fontName = { family: "Inter", style: "Regular" };
-        arrowText.fills = [{ type: 'SOLID', color: { r: 0.4, g: 0.4, b: 0.4 } }];
-        arrowContainer.appendChild(arrowText);
-        
-        pairFrame.appendChild(arrowContainer);
-        
-        // NEW component section
-        const newSection = figma.createFrame();
-        newSection.name = "NEW";
-        newSection.layoutMode = "VERTICAL";
-        newSection.layoutAlign = "STRETCH";
-        newSection.itemSpacing = 12;
-        newSection.primaryAxisSizingMode = "AUTO";
-        newSection.counterAxisSizingMode = "AUTO";
-        
-        // NEW label (GREEN)
-        const newLabel = figma.createText();
-        newLabel.characters = "NEW";
-        newLabel.fontSize = 12;
-        newLabel.fontName = { family: "Inter", style: "Bold" };
-        newLabel.fills = [{ type: 'SOLID', color: { r: 0.2, g: 0.6, b: 0.2 } }];
-        newSection.appendChild(newLabel);
-        
-        // NEW component title and key
-        const newTitleFrame = figma.createFrame();
-        newTitleFrame.layoutMode = "VERTICAL";
-        newTitleFrame.layoutAlign = "STRETCH";
-        newTitleFrame.itemSpacing = 4;
-        newTitleFrame.primaryAxisSizingMode = "AUTO";
-        newTitleFrame.counterAxisSizingMode = "AUTO";
-        
-        // Component name
-        const newName = figma.createText();
-        const newParts = (mapping.newName || 'Component').split('|');
-        const newCleanName = newParts[0];
-        newName.characters = newCleanName;
-        newName.fontSize = 16;
-        newName.fontName = { family: "Inter", style: "Medium" };
-        newName.fills = [{ type: 'SOLID', color: { r: 0.1, g: 0.1, b: 0.1 } }];
-        newTitleFrame.appendChild(newName);
-        
-        // Component key
-        const newKeyText = figma.createText();
-        const newLibraryName = getLibraryNameFromKey(mapping.newKey);
-        newKeyText.characters = `(${newLibraryName})`;
-        newKeyText.fontSize = 12;
-        newKeyText.fontName = { family: "Inter", style: "Regular" };
-        newKeyText.fills = [{ type: 'SOLID', color: { r: 0.6, g: 0.6, b: 0.6 } }];
-        newTitleFrame.appendChild(newKeyText);
-        
-        // Variant properties (if any)
-        if (newParts[1]) {
-          const newVariantText = figma.createText();
-          newVariantText.characters = newParts[1];
-          newVariantText.fontSize = 11;
-          newVariantText.fontName = { family: "Inter", style: "Regular" };
-          newVariantText.fills = [{ type: 'SOLID', color: { r: 0.5, g: 0.5, b: 0.5 } }];
-          newTitleFrame.appendChild(newVariantText);
+      }
+    } else {
+      // Everything on this page that isn't part of the new library and isn't mapped yet
+      for (const instance of figma.currentPage.findAllWithCriteria({ types: ['INSTANCE'] })) {
+        const mainComponent = await instance.getMainComponentAsync();
+        if (mainComponent && !candidateKeys.has(mainComponent.key) && !excludeKeys.has(mainComponent.key)) {
+          oldComponents.set(mainComponent.key, toSuggestionCandidate(mainComponent));
         }
-        
-        newSection.appendChild(newTitleFrame);
-        
-        // Try to create instance of NEW component
-        try {
-          const formattedKey = formatComponentKey(mapping.newKey);
-          const newComponent = await figma.importComponentByKeyAsync(formattedKey);
-          if (newComponent) {
-            const newInstance = newComponent.createInstance();
-            newSection.appendChild(newInstance);
-          }
-        } catch (err) {
-          const errorText = figma.createText();
-          errorText.characters = "⚠️ Component not found";
-          errorText.fontSize = 12;
-          errorText.fontName = { family: "Inter", style: "Regular" };
-          errorText.fills = [{ type: 'SOLID', color: { r: 0.8, g: 0.2, b: 0.2 } }];
-          newSection.appendChild(errorText);
+      }
+    }
+    
+    const suggestions: Suggestion[] = [];
+    for (const oldComponent of oldComponents.values()) {
+      let best: Suggestion | null = null;
+      for (const candidate of candidates) {
+        if (candidate.key === oldComponent.key) continue;
+        const { score, reasons } = scoreSuggestion(oldComponent, candidate);
+        if (!best || score > best.score) {
+          best = { old: oldComponent, new: candidate, score, reasons };
         }
-        
-        pairFrame.appendChild(newSection);
-        
-        // Add to main frame
-        frame.appendChild(pairFrame);
-        
-      } catch (err) {
-        console.error('Error creating visual for mapping:', err);
-        hasErrors = true;
+      }
+      if (best && best.score >= MIN_SUGGESTION_SCORE) {
+        suggestions.push(best);
       }
     }
     
-    // Select the frame and zoom to it
-    figma.currentPage.selection = [frame];
-    figma.viewport.scrollAndZoomIntoView([frame]);
+    postToUI({
+      type: 'replacementSuggestions',
+      success: true,
+      suggestions: suggestions.sort((a, b) => b.score - a.score),
+      unmatched: oldComponents.size - suggestions.length
+    });
     
-    figma.ui.postMessage({
-      type: 'message',
-      text: hasErrors ? 
-        'Visual comparison created with some errors. Some components may not be available.' : 
-        'Visual comparison created successfully!',
-      variant: hasErrors ? 'warning' : 'info',
-      timeout: 3000
+  } catch (err) {
+    console.error('Error suggesting replacements:', err);
+    postToUI({
+      type: 'replacementSuggestions',
+      success: false,
+      error: 'Failed to suggest replacements'
+    });
+  }
+}
+
+// Count instances of mapped and unmapped legacy components on every page
+async function scanUsage(mappings: Mapping[], set: SetReference | null) {
+  try {
+    const { rows, totalInstances } = await countLegacyInstances(mappings);
+    await recordDocumentStatus(loadDocumentStatus(), mappings, set, rows);
+    
+    postToUI({
+      type: 'scanResult',
+      success: true,
+      rows,
+      totalInstances
     });
     
   } catch (err) {
-    console.error('Error generating visuals:', err);
-    figma.ui.postMessage({
+    console.error('Error scanning usage:', err);
+    postToUI({
+      type: 'scanResult',
+      success: false,
+      rows: [],
+      totalInstances: 0,
+      error: 'Failed to scan the file'
+    });
+  }
+}
+
+// Read this document's migration status, starting a new one if it has none
+function loadDocumentStatus(): DocumentMigrationStatus {
+  const empty: DocumentMigrationStatus = {
+    fileId: getCurrentFileId(),
+    fileName: figma.root.name,
+    appliedSet: null,
+    appliedAt: null,
+    countedSet: null,
+    countedAt: null,
+    remaining: {},
+    remainingTotal: 0,
+    unmappedLegacyTotal: 0,
+    migratedTotal: 0
+  };
+  try {
+    const saved = figma.root.getPluginData(MIGRATION_STATUS_KEY);
+    return saved ? { ...empty, ...JSON.parse(saved), fileId: empty.fileId, fileName: empty.fileName } : empty;
+  } catch (err) {
+    console.error('Error reading migration status:', err);
+    return empty;
+  }
+}
+
+// Update the remaining counts (counting again unless a scan just did), then save the status
+// on the document and in the per-user index of files
+async function recordDocumentStatus(status: DocumentMigrationStatus, mappings: Mapping[], set: SetReference | null, rows?: ScanRow[]) {
+  try {
+    const counted = rows || (await countLegacyInstances(mappings)).rows;
+    status.remaining = {};
+    status.remainingTotal = 0;
+    status.unmappedLegacyTotal = 0;
+    for (const row of counted) {
+      if (row.mapped) {
+        status.remaining[row.key] = (status.remaining[row.key] || 0) + row.count;
+        status.remainingTotal += row.count;
+      } else {
+        status.unmappedLegacyTotal += row.count;
+      }
+    }
+    status.countedSet = set;
+    status.countedAt = Date.now();
+    
+    figma.root.setPluginData(MIGRATION_STATUS_KEY, JSON.stringify(status));
+    const index = await loadFileIndex();
+    index[status.fileId] = status;
+    await figma.clientStorage.setAsync(FILE_INDEX_KEY, index);
+    await postProgressIndex();
+  } catch (err) {
+    console.error('Error recording migration status:', err);
+  }
+}
+
+async function loadFileIndex(): Promise<{ [fileId: string]: DocumentMigrationStatus }> {
+  try {
+    return (await figma.clientStorage.getAsync(FILE_INDEX_KEY)) || {};
+  } catch (err) {
+    console.error('Error reading file index:', err);
+    return {};
+  }
+}
+
+// Every file in the index; this document's own record is the freshest copy
+async function loadProgressFiles(): Promise<DocumentMigrationStatus[]> {
+  const index = await loadFileIndex();
+  const current = figma.root.getPluginData(MIGRATION_STATUS_KEY) ? loadDocumentStatus() : null;
+  if (current) {
+    index[current.fileId] = current;
+  }
+  return Object.keys(index).map((fileId) => index[fileId]);
+}
+
+async function postProgressIndex() {
+  postToUI({
+    type: 'progressIndex',
+    files: await loadProgressFiles(),
+    currentFileId: getCurrentFileId()
+  });
+}
+
+async function forgetFile(fileId: string) {
+  const index = await loadFileIndex();
+  delete index[fileId];
+  await figma.clientStorage.setAsync(FILE_INDEX_KEY, index);
+  await postProgressIndex();
+}
+
+// Count instances of mapped components on every page, plus unmapped components from the same libraries
+async function countLegacyInstances(mappings: Mapping[]): Promise<{ rows: ScanRow[]; totalInstances: number }> {
+  await figma.loadAllPagesAsync();
+  
+  const mappedKeys = new Set(mappings.map((m) => formatComponentKey(m.oldKey)));
+  const newKeys = new Set<string>();
+  for (const mapping of mappings) {
+    [mapping.newKey, ...(mapping.conditions || []).map((c) => c.newKey)].forEach((key) => newKeys.add(formatComponentKey(key)));
+  }
+  // Libraries we know the mapped components come from; components from unknown libraries aren't guessed at
+  const legacyLibraries = new Set<string>();
+  mappedKeys.forEach((key) => {
+    const libraryId = getLibraryId(libraryRegistry, key);
+    if (libraryId) legacyLibraries.add(libraryId);
+  });
+  const rows = new Map<string, ScanRow>();
+  const registered = new Set<string>();
+  let registryChanged = false;
+  let totalInstances = 0;
+  
+  for (const page of figma.root.children) {
+    for (const instance of page.findAllWithCriteria({ types: ['INSTANCE'] })) {
+      const mainComponent = await instance.getMainComponentAsync();
+      if (!mainComponent) continue;
+      
+      const key = mainComponent.key;
+      if (!registered.has(key)) {
+        registered.add(key);
+        registryChanged = await registerLocalComponent(mainComponent) || registryChanged;
+      }
+      const setKey = getComponentSetKey(mainComponent);
+      const mapped = mappedKeys.has(key) || (!!setKey && mappedKeys.has(setKey));
+      // Unmapped components only count when they come from a library we're migrating away from
+      const libraryId = getLibraryId(libraryRegistry, key);
+      if (!mapped && (newKeys.has(key) || !libraryId || !legacyLibraries.has(libraryId))) {
+        continue;
+      }
+      
+      const rowId = `${page.id}|${key}`;
+      let row = rows.get(rowId);
+      if (!row) {
+        const details = getComponentDetails(mainComponent);
+        row = {
+          key,
+          name: details.name,
+          variants: describeComponent(details.name, details.variantProperties).variants,
+          mapped,
+          pageId: page.id,
+          pageName: page.name,
+          count: 0,
+          nodeIds: []
+        };
+        rows.set(rowId, row);
+      }
+      row.count++;
+      row.nodeIds.push(instance.id);
+      totalInstances++;
+    }
+  }
+  
+  if (registryChanged) {
+    await saveLibraryRegistry();
+  }
+  return { rows: Array.from(rows.values()), totalInstances };
+}
+
+// Find the page a node lives on
+function getPageOf(node: BaseNode): PageNode | null {
+  let current = node.parent;
+  while (current && current.type !== 'PAGE') {
+    current = current.parent;
+  }
+  return current;
+}
+
+// Select every instance of a component (or of any variant, for a component set key) on the current page or
+// in the whole file, and send their ids so the UI can step through them. Matches on the current page come first
+async function findInstances(key: string, scope: 'page' | 'file') {
+  try {
+    const componentKey = formatComponentKey(key);
+    let pages = [figma.currentPage];
+    if (scope === 'file') {
+      await figma.loadAllPagesAsync();
+      pages = pages.concat(figma.root.children.filter((page) => page !== figma.currentPage));
+    }
+    
+    const nodeIds: string[] = [];
+    let pageCount = 0;
+    for (const page of pages) {
+      const found = nodeIds.length;
+      for (const instance of page.findAllWithCriteria({ types: ['INSTANCE'] })) {
+        const mainComponent = await instance.getMainComponentAsync();
+        if (mainComponent && (mainComponent.key === componentKey || getComponentSetKey(mainComponent) === componentKey)) {
+          nodeIds.push(instance.id);
+        }
+      }
+      if (nodeIds.length > found) {
+        pageCount++;
+      }
+    }
+    
+    if (nodeIds.length > 0) {
+      await selectNodes(nodeIds);
+    }
+    postToUI({ type: 'foundInstances', success: true, key, scope, nodeIds, pageCount });
+    
+  } catch (err) {
+    console.error('Error finding instances:', err);
+    postToUI({ type: 'foundInstances', success: false, key, scope, error: 'Failed to search for instances' });
+  }
+}
+
+// Select nodes by id and zoom to them, switching to their page if needed
+async function selectNodes(nodeIds: string[]) {
+  const nodes: SceneNode[] = [];
+  for (const id of nodeIds) {
+    const node = await figma.getNodeByIdAsync(id);
+    if (node && node.type !== 'DOCUMENT' && node.type !== 'PAGE' && !node.removed) {
+      nodes.push(node as SceneNode);
+    }
+  }
+  
+  if (nodes.length === 0) {
+    postToUI({
       type: 'message',
-      text: 'Failed to generate visual comparison',
-      variant: 'error',
+      text: 'Those layers no longer exist. Scan or search again.',
+      variant: 'warning',
       timeout: 3000
     });
+    return;
+  }
+  
+  const page = getPageOf(nodes[0]);
+  if (page && page !== figma.currentPage) {
+    await figma.setCurrentPageAsync(page);
+  }
+  
+  const nodesOnPage = nodes.filter((node) => getPageOf(node) === page);
+  figma.currentPage.selection = nodesOnPage;
+  figma.viewport.scrollAndZoomIntoView(nodesOnPage);
+}
+
+function getSharedData(): DataStore {
+  return {
+    get: (key) => figma.root.getSharedPluginData(PLUGIN_NAMESPACE, key),
+    set: (key, value) => figma.root.setSharedPluginData(PLUGIN_NAMESPACE, key, value),
+    keys: () => figma.root.getSharedPluginDataKeys(PLUGIN_NAMESPACE)
+  };
+}
+
+function getPrivateData(): DataStore {
+  return {
+    get: (key) => figma.root.getPluginData(key),
+    set: (key, value) => figma.root.setPluginData(key, value),
+    keys: () => figma.root.getPluginDataKeys()
+  };
+}
+
+// Chunk keys of a value written with writeChunked: `${key}.0`, `${key}.1`, ...
+function getChunkKeys(store: DataStore, key: string): string[] {
+  return store.keys().filter((k) => k.startsWith(`${key}.`) && /^\d+$/.test(k.slice(key.length + 1)));
+}
+
+// Write a value across as many entries as it needs, clearing chunks left over from a longer value
+function writeChunked(store: DataStore, key: string, value: string) {
+  const count = Math.max(1, Math.ceil(value.length / MAX_ENTRY_LENGTH));
+  for (let i = 0; i < count; i++) {
+    store.set(`${key}.${i}`, value.slice(i * MAX_ENTRY_LENGTH, (i + 1) * MAX_ENTRY_LENGTH));
+  }
+  for (const chunkKey of getChunkKeys(store, key)) {
+    if (Number(chunkKey.slice(key.length + 1)) >= count) {
+      store.set(chunkKey, '');
+    }
+  }
+}
+
+function readChunked(store: DataStore, key: string): string {
+  let value = '';
+  for (let i = 0; ; i++) {
+    const chunk = store.get(`${key}.${i}`);
+    if (!chunk) break;
+    value += chunk;
+  }
+  return value;
+}
+
+function deleteChunked(store: DataStore, key: string) {
+  for (const chunkKey of getChunkKeys(store, key)) {
+    store.set(chunkKey, '');
+  }
+}
+
+// Read the mappings stored on this document
+function loadDocumentMappings(): StoredMappings | null {
+  try {
+    const store = getSharedData();
+    const saved = store.get(MAPPINGS_KEY);
+    if (!saved) {
+      return null;
+    }
+    
+    // Each set's mappings are under their own keys; documents saved before that keep them in the index
+    const index = JSON.parse(saved);
+    if (index && index.chunked && Array.isArray(index.sets)) {
+      for (const set of index.sets as MappingSet[]) {
+        const mappings = readChunked(store, `${MAPPINGS_KEY}.${set.id}`);
+        set.mappings = mappings ? JSON.parse(mappings) : [];
+      }
+    }
+    return migrateStoredMappings(index);
+  } catch (err) {
+    console.error('Error reading document mappings:', err);
+    return null;
+  }
+}
+
+// Write mappings to the document: the list of sets, then each set's mappings in chunks
+function saveDocumentMappings(stored: StoredMappings) {
+  const store = getSharedData();
+  const setIds = new Set(stored.sets.map((set) => set.id));
+  for (const set of stored.sets) {
+    writeChunked(store, `${MAPPINGS_KEY}.${set.id}`, JSON.stringify(set.mappings));
+  }
+  store.set(MAPPINGS_KEY, JSON.stringify({
+    ...stored,
+    chunked: true,
+    sets: stored.sets.map((set) => ({ ...set, mappings: [] }))
+  }));
+  
+  // Drop the chunks of deleted sets
+  const setPrefix = `${MAPPINGS_KEY}.`;
+  for (const key of store.keys()) {
+    const setId = key.startsWith(setPrefix) ? key.slice(setPrefix.length).replace(/\.\d+$/, '') : null;
+    if (setId && !setIds.has(setId)) {
+      store.set(key, '');
+    }
+  }
+}
+
+async function loadSettings(): Promise<PluginSettings> {
+  try {
+    const saved = await figma.clientStorage.getAsync(SETTINGS_KEY);
+    return { ...DEFAULT_SETTINGS, ...(saved || {}) };
+  } catch (err) {
+    console.error('Error loading settings:', err);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+async function saveSettings(settings: PluginSettings) {
+  try {
+    await figma.clientStorage.setAsync(SETTINGS_KEY, settings);
+    
+    // Write the personal copy straight away rather than on the next edit
+    const stored = loadDocumentMappings();
+    if (settings.keepPersonalCopy && stored) {
+      await figma.clientStorage.setAsync(CLIENT_STORAGE_KEY, stored);
+    }
+  } catch (err) {
+    console.error('Error saving settings:', err);
   }
 }
 
-// Save mappings to client storage
+// Save mappings to the document, plus a personal clientStorage copy if enabled
 async function saveMappings(data: unknown) {
   try {
-    await figma.clientStorage.setAsync('componentMigrationMappings', data);
+    const stored = migrateStoredMappings(data);
+    if (!stored) return;
+    
+    saveDocumentMappings(stored);
+    
+    const settings = await loadSettings();
+    if (settings.keepPersonalCopy) {
+      await figma.clientStorage.setAsync(CLIENT_STORAGE_KEY, stored);
+    } else if (legacyCopyOffered) {
+      // This file has taken over the legacy copy: mark it so other files don't pick it up too
+      const saved = await figma.clientStorage.getAsync(CLIENT_STORAGE_KEY);
+      if (isUnmovedLegacyCopy(saved)) {
+        const legacy = Array.isArray(saved) ? { mappings: saved } : saved;
+        await figma.clientStorage.setAsync(CLIENT_STORAGE_KEY, { ...legacy, movedToFile: getCurrentFileId(), movedAt: Date.now() });
+      }
+    }
+    legacyCopyOffered = false;
   } catch (err) {
     console.error('Error saving mappings:', err);
+    const error = `Could not save mappings to this file: ${err instanceof Error ? err.message : String(err)}`;
+    figma.notify(error, { error: true });
+    postToUI({ type: 'saveFailed', error });
   }
 }
 
-// Load saved mappings from client storage
+// Whether this session offered the legacy clientStorage copy, which the next save moves into the file
+let legacyCopyOffered = false;
+
+// Unversioned clientStorage data from before mappings lived in the document, not yet saved into a file
+function isUnmovedLegacyCopy(saved: unknown): boolean {
+  const data = saved as (Partial<StoredMappings> & { movedToFile?: string }) | undefined;
+  return !!data && !data.version && !data.movedToFile;
+}
+
+// Load saved mappings from the document, falling back to clientStorage
 async function loadSavedMappings() {
   try {
-    const saved = await figma.clientStorage.getAsync('componentMigrationMappings');
-    console.log('Loaded from storage:', saved);
-    
-    // Handle different data structures for backwards compatibility
-    let dataToSend = saved;
+    const settings = await loadSettings();
+    let dataToSend = loadDocumentMappings();
+    let source: MappingSource | null = dataToSend ? 'document' : null;
     
-    // If saved is an array, it's the old format - wrap it
-    if (Array.isArray(saved)) {
-      dataToSend = {
-        mappings: saved,
-        timestamp: Date.now() - (7 * 24 * 60 * 60 * 1000) // 7 days ago
-      };
+    if (!dataToSend) {
+      // Data saved before mappings lived in the document has no version: offer it until it has been
+      // saved into a file (see saveMappings). Newer personal copies are only used when enabled.
+      const saved = await figma.clientStorage.getAsync(CLIENT_STORAGE_KEY);
+      const isLegacy = isUnmovedLegacyCopy(saved);
+      if (isLegacy || settings.keepPersonalCopy) {
+        dataToSend = migrateStoredMappings(saved);
+        source = dataToSend ? (isLegacy ? 'legacy' : 'personal') : null;
+      }
+      legacyCopyOffered = isLegacy && !!dataToSend;
     }
+    console.log('Loaded mappings from:', source, dataToSend);
     
-    figma.ui.postMessage({
+    postToUI({
       type: 'loadedMappings',
-      data: dataToSend
+      data: dataToSend,
+      source,
+      settings
     });
   } catch (err) {
     console.error('Error loading mappings:', err);
-    figma.ui.postMessage({
+    postToUI({
       type: 'loadedMappings',
-      data: null
+      data: null,
+      source: null,
+      settings: { ...DEFAULT_SETTINGS }
     });
   }
 }
@@ -0,0 +1,942 @@
+/// <reference types="@figma/plugin-typings" />
+
+// Mapping logic with no Figma dependency: key formatting, parsing, grouping, dedupe, CSV/JSON import and export and layer paths.
+// It's compiled into code.js ahead of code.ts, so under Node it can be loaded with a mocked `figma` global.
+
+// Types
+type VariantProperties = { [property: string]: string };
+
+interface PropertyInfo {
+  type: ComponentPropertyType;
+  defaultValue: string | boolean;
+  variantOptions?: string[];
+}
+
+type PropertyDefinitions = { [property: string]: PropertyInfo };
+
+// Renames an old property (optionally only for one value) to a new property/value when swapping
+interface PropertyRule {
+  fromName: string;
+  fromValue?: string;
+  toName: string;
+  toValue?: string;
+}
+
+// Points an old layer path ("Content > Label", relative to the instance) at its path in the new component.
+// A rule for a group also covers the layers inside it
+interface LayerRule {
+  fromPath: string;
+  toPath: string;
+}
+
+interface Mapping {
+  oldKey: string;
+  newKey: string;
+  oldName: string;
+  newName: string;
+  notes: string;
+  type?: MappingType;
+  conditions?: ConditionalTarget[];
+  status?: MappingStatus;
+  tags?: string[];
+  oldVariantProperties?: VariantProperties | null;
+  newVariantProperties?: VariantProperties | null;
+  oldComponentProperties?: PropertyDefinitions;
+  newComponentProperties?: PropertyDefinitions;
+  propertyMap?: PropertyRule[];
+  layerMap?: LayerRule[];
+  oldKeyStatus?: KeyStatus | 'pending';
+  newKeyStatus?: KeyStatus | 'pending';
+  componentSet?: ComponentSetMapping;
+  suggestion?: { score: number; reasons: string[] };
+  // Measured differences between the old and new component, for the keys in diffKeys ("oldKey|newKey").
+  // Only successful measurements are kept, so a pair that couldn't be imported is measured again later
+  diff?: VisualDiff;
+  diffKeys?: string;
+}
+
+// none: nothing measurable changed; low: styling or spacing changed; high: size or properties changed
+type DiffRisk = 'none' | 'low' | 'high';
+
+interface VisualDiff {
+  widthDelta: number;
+  heightDelta: number;
+  changes: string[];
+  removedProperties: string[];
+  addedProperties: string[];
+  risk: DiffRisk;
+}
+
+// replace: swap to newKey; detach: detach the instance, keeping its layers; remove: delete the instance;
+// conditional: pick the new component from the instance's property values, falling back to newKey (if any)
+type MappingType = 'replace' | 'detach' | 'remove' | 'conditional';
+
+// One branch of a conditional mapping, e.g. Size=Small → CompactButton
+interface ConditionalTarget {
+  property: string;
+  value: string;
+  newKey: string;
+  newName: string;
+  newVariantProperties?: VariantProperties | null;
+}
+
+type MappingStatus = 'draft' | 'approved' | 'deprecated-no-replacement' | 'migrated';
+
+// Set on mappings created by pairing the variants of two component sets
+interface ComponentSetMapping {
+  oldSetKey: string;
+  oldSetName: string;
+  newSetKey: string;
+  newSetName: string;
+}
+
+// valid: imports as a component; not-found: unpublished or wrong key; set-key: a component set's key
+type KeyStatus = 'valid' | 'not-found' | 'set-key';
+
+// A named group of mappings, e.g. "Buttons v2 → v3", with its own staleness timestamp
+interface MappingSet {
+  id: string;
+  name: string;
+  mappings: Mapping[];
+  timestamp: number;
+}
+
+interface StoredMappings {
+  version: number;
+  activeSetId: string;
+  sets: MappingSet[];
+}
+
+// Which mapping set a scan or migration run used
+interface SetReference {
+  id: string;
+  name: string;
+}
+
+// Migration progress for one document, kept on the document and in the per-user index of files
+interface DocumentMigrationStatus {
+  fileId: string;
+  fileName: string;
+  appliedSet: SetReference | null;
+  appliedAt: number | null;
+  // Remaining counts are from the last scan or migration run, for the set it used
+  countedSet: SetReference | null;
+  countedAt: number | null;
+  remaining: { [componentKey: string]: number };
+  remainingTotal: number;
+  unmappedLegacyTotal: number;
+  migratedTotal: number;
+}
+
+// publish: learned from published components in that file; key: from "fileKey:componentKey" or a file URL;
+// manual: added or renamed by hand
+type LibrarySource = 'publish' | 'key' | 'manual';
+
+// Libraries are identified by file key where known, or by the "local:..." id stored on the document
+interface LibraryInfo {
+  id: string;
+  name: string;
+  source: LibrarySource;
+}
+
+interface LibraryRegistry {
+  version: number;
+  libraries: { [libraryId: string]: LibraryInfo };
+  // Component and component set keys → library id
+  components: { [componentKey: string]: string };
+}
+
+type GuideGroupBy = 'component' | 'library';
+
+// A section of the Migration Guide: plain OLD → NEW rows plus a variant matrix per component set pair
+interface GuideSection {
+  key: string;
+  title: string;
+  rows: Mapping[];
+  matrices: { componentSet: ComponentSetMapping; mappings: Mapping[] }[];
+}
+
+// new: not in the set yet; conflict: the old key is mapped to something else; duplicate: already mapped the same way;
+// repeated: an earlier row of the same import maps the old key to something else, and wins
+type ImportStatus = 'new' | 'conflict' | 'duplicate' | 'repeated';
+
+interface ImportRow {
+  mapping: Mapping;
+  status: ImportStatus;
+}
+
+// cycle: following replacements comes back to the start; chain: A → B while B → C, collapsible to A → C;
+// old-key-as-target: a replacement that is itself mapped away, in a way that can't be collapsed;
+// deprecated-target: a replacement from a library the set migrates away from
+type MappingIssueKind = 'cycle' | 'chain' | 'old-key-as-target' | 'deprecated-target';
+
+interface MappingIssue {
+  id: string;
+  kind: MappingIssueKind;
+  message: string;
+  // Old keys of the mappings involved
+  oldKeys: string[];
+  // For chains: the end of the chain, to point the first mapping at directly
+  collapse?: Pick<Mapping, 'oldKey' | 'newKey' | 'newName' | 'newVariantProperties' | 'newComponentProperties' | 'newKeyStatus'>;
+}
+
+// Parsed import file: mappings plus any "fileKey:componentKey" or URL keys, so their library can be learned
+// warnings: values that couldn't be read and were left out, for the review dialog
+type ParsedImport = { mappings: Mapping[]; skipped: number; libraryHints: string[]; warnings: string[] } | { error: string };
+
+type ExportFormat = 'csv' | 'json';
+
+interface ExportFile {
+  content: string;
+  filename: string;
+  mimeType: string;
+}
+
+// One CSV column; columns without `write` are export-only
+interface CsvColumn {
+  header: string;
+  read: (mapping: Mapping, registry: LibraryRegistry) => string | number;
+  write?: (fields: Partial<Mapping>, value: string) => void;
+}
+
+const STORAGE_VERSION = 2;
+const UNKNOWN_LIBRARY = 'Unknown library';
+
+const MAPPING_STATUSES: MappingStatus[] = ['draft', 'approved', 'deprecated-no-replacement', 'migrated'];
+const MAPPING_TYPES: MappingType[] = ['replace', 'detach', 'remove', 'conditional'];
+
+// CSV columns, shared by export and import so exported files round-trip
+const CSV_COLUMNS: CsvColumn[] = [
+  { header: 'Old key', read: (m) => m.oldKey, write: (m, v) => { m.oldKey = v; } },
+  { header: 'Old name', read: (m) => m.oldName, write: (m, v) => { m.oldName = v; } },
+  { header: 'Old variants', read: (m) => describeComponent('', m.oldVariantProperties).variants, write: (m, v) => { m.oldVariantProperties = parseVariantProperties(v); } },
+  { header: 'New key', read: (m) => m.newKey, write: (m, v) => { m.newKey = v; } },
+  { header: 'New name', read: (m) => m.newName, write: (m, v) => { m.newName = v; } },
+  { header: 'New variants', read: (m) => describeComponent('', m.newVariantProperties).variants, write: (m, v) => { m.newVariantProperties = parseVariantProperties(v); } },
+  { header: 'Notes', read: (m) => m.notes, write: (m, v) => { m.notes = v; } },
+  { header: 'Status', read: (m) => m.status || 'draft', write: (m, v) => { if (MAPPING_STATUSES.indexOf(v as MappingStatus) !== -1) m.status = v as MappingStatus; } },
+  { header: 'Tags', read: (m) => (m.tags || []).join(', '), write: (m, v) => { m.tags = parseTags(v); } },
+  { header: 'Type', read: (m) => m.type || 'replace', write: (m, v) => { if (MAPPING_TYPES.indexOf(v as MappingType) !== -1) m.type = v as MappingType; } },
+  { header: 'Conditions', read: (m) => (m.conditions || []).length ? JSON.stringify(m.conditions) : '', write: (m, v) => { m.conditions = v ? JSON.parse(v) : []; } },
+  { header: 'Property rules', read: (m) => (m.propertyMap || []).length ? JSON.stringify(m.propertyMap) : '', write: (m, v) => { m.propertyMap = v ? JSON.parse(v) : []; } },
+  { header: 'Layer rules', read: (m) => (m.layerMap || []).length ? JSON.stringify(m.layerMap) : '', write: (m, v) => { m.layerMap = v ? JSON.parse(v) : []; } },
+  // Property definitions drive property carry-over; without them a CSV round trip would lose it
+  { header: 'Old properties', read: (m) => Object.keys(m.oldComponentProperties || {}).length ? JSON.stringify(m.oldComponentProperties) : '', write: (m, v) => { m.oldComponentProperties = v ? JSON.parse(v) : {}; } },
+  { header: 'New properties', read: (m) => Object.keys(m.newComponentProperties || {}).length ? JSON.stringify(m.newComponentProperties) : '', write: (m, v) => { m.newComponentProperties = v ? JSON.parse(v) : {}; } },
+  { header: 'Component set', read: (m) => m.componentSet ? JSON.stringify(m.componentSet) : '', write: (m, v) => { if (v) m.componentSet = JSON.parse(v); } },
+  // Libraries come from the registry and measured differences are measured again after importing, so both are export-only
+  { header: 'Old library', read: (m, registry) => getLibraryNameFromKey(registry, m.oldKey) },
+  { header: 'New library', read: (m, registry) => m.newKey ? getLibraryNameFromKey(registry, m.newKey) : '' },
+  { header: 'Width change', read: (m) => m.diff ? m.diff.widthDelta : '' },
+  { header: 'Height change', read: (m) => m.diff ? m.diff.heightDelta : '' },
+  { header: 'Visual changes', read: (m) => m.diff ? describeDiff(m.diff).join('\n') : '' },
+  { header: 'Risk', read: (m) => m.diff ? m.diff.risk : '' }
+];
+
+// Keys
+
+function formatComponentKey(input: string): string {
+  const raw = input.trim();
+
+  // if URL pasted, extract key param (the plugin sandbox has no URL class, so match it directly)
+  if (raw.startsWith("http")) {
+    const match = raw.match(/[?&]key=([^&#]+)/);
+    return match ? decodeURIComponent(match[1]).trim() : raw;
+  }
+
+  // if fileKey:componentKey pasted, grab the right side
+  if (raw.includes(":")) {
+    return raw.split(":").pop()!.trim();
+  }
+
+  return raw;
+}
+
+// The file key in "fileKey:componentKey" input or a Figma file URL, if there is one
+function getFileKeyHint(input: string): string | null {
+  const raw = input.trim();
+  if (raw.startsWith('http')) {
+    const match = raw.match(/\/(?:file|design)\/([A-Za-z0-9]+)/);
+    return match ? match[1] : null;
+  }
+  return raw.includes(':') ? raw.split(':')[0].trim() || null : null;
+}
+
+function getLibraryId(registry: LibraryRegistry, componentKey: string): string | null {
+  return registry.components[formatComponentKey(componentKey)] || null;
+}
+
+// Human-readable library name for a component key, from the library registry
+function getLibraryNameFromKey(registry: LibraryRegistry, componentKey: string): string {
+  const libraryId = getLibraryId(registry, componentKey);
+  if (!libraryId) {
+    return UNKNOWN_LIBRARY;
+  }
+  const library = registry.libraries[libraryId];
+  return library ? library.name : libraryId;
+}
+
+// Parsing
+
+// Split a mapping name into a clean name and variant text, accepting legacy "Name|Prop=Val" names
+function describeComponent(name: string, variantProperties?: VariantProperties | null): { name: string; variants: string } {
+  const [cleanName, legacyVariants] = name.split('|');
+  const variants = variantProperties
+    ? Object.keys(variantProperties).map((key) => `${key}=${variantProperties[key]}`).join(', ')
+    : legacyVariants || '';
+  return { name: cleanName, variants };
+}
+
+// Parse "Prop=Val, Prop2=Val2" into a variant properties object
+function parseVariantProperties(text: string): VariantProperties | null {
+  const props: VariantProperties = {};
+  text.split(',').forEach((pair) => {
+    const [key, value] = pair.split('=');
+    if (key && value !== undefined) {
+      props[key.trim()] = value.trim();
+    }
+  });
+  return Object.keys(props).length ? props : null;
+}
+
+function parseTags(text: string): string[] {
+  const tags = text.split(',').map((tag) => tag.trim()).filter((tag) => tag);
+  return tags.filter((tag, index) => tags.indexOf(tag) === index);
+}
+
+// Fill in defaults and move variant data out of legacy "Name|Prop=Val" names into structured fields
+function normalizeMapping(mapping: Partial<Mapping>): Mapping {
+  const normalized: Mapping = {
+    oldKey: '',
+    newKey: '',
+    oldName: '',
+    newName: '',
+    propertyMap: [],
+    layerMap: [],
+    notes: '',
+    status: 'draft',
+    tags: [],
+    type: 'replace',
+    conditions: [],
+    ...mapping
+  };
+  for (const side of ['old', 'new'] as const) {
+    const name = normalized[`${side}Name` as const] || '';
+    if (name.includes('|')) {
+      const [cleanName, variants] = name.split('|');
+      normalized[`${side}Name` as const] = cleanName;
+      if (!normalized[`${side}VariantProperties` as const]) {
+        normalized[`${side}VariantProperties` as const] = parseVariantProperties(variants);
+      }
+    }
+  }
+  return normalized;
+}
+
+function createSetId(): string {
+  return `set-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Wrap a single list of mappings (schema version 1 and older) in a default set
+function createDefaultStore(mappings: Mapping[], timestamp: number): StoredMappings {
+  const set: MappingSet = { id: createSetId(), name: 'Default', mappings, timestamp };
+  return { version: STORAGE_VERSION, activeSetId: set.id, sets: [set] };
+}
+
+// Bring any saved shape up to the current schema
+function migrateStoredMappings(saved: unknown): StoredMappings | null {
+  if (!saved) {
+    return null;
+  }
+  
+  // Oldest format: a bare array of mappings without a timestamp
+  if (Array.isArray(saved)) {
+    return createDefaultStore(saved, Date.now() - (7 * 24 * 60 * 60 * 1000)); // 7 days ago
+  }
+  
+  const data = saved as Partial<StoredMappings> & { mappings?: Mapping[]; timestamp?: number };
+  
+  // Version 2: named mapping sets
+  if (Array.isArray(data.sets) && data.sets.length > 0) {
+    const activeSetId = data.sets.some((set) => set.id === data.activeSetId) ? data.activeSetId! : data.sets[0].id;
+    return { version: STORAGE_VERSION, activeSetId, sets: data.sets };
+  }
+  
+  // Version 1 and unversioned clientStorage data: { mappings, timestamp }
+  if (Array.isArray(data.mappings)) {
+    return createDefaultStore(data.mappings, data.timestamp || 0);
+  }
+  
+  return null;
+}
+
+// Grouping
+
+// Group mappings into guide sections; component set mappings become one variant matrix per set pair
+function groupMappings(mappings: Mapping[], groupBy: GuideGroupBy, registry: LibraryRegistry): GuideSection[] {
+  const sections = new Map<string, GuideSection>();
+
+  for (const mapping of mappings) {
+    const type = mapping.type || 'replace';
+    let key: string;
+    let title: string;
+    if (type === 'detach' || type === 'remove') {
+      key = 'no-replacement';
+      title = 'No replacement';
+    } else if (groupBy === 'library') {
+      const newLibrary = mapping.newKey ? getLibraryNameFromKey(registry, mapping.newKey) : UNKNOWN_LIBRARY;
+      title = `${getLibraryNameFromKey(registry, mapping.oldKey)} → ${newLibrary}`;
+      key = `library:${title}`;
+    } else if (type === 'conditional') {
+      key = `conditional:${mapping.oldKey}`;
+      title = `${describeComponent(mapping.oldName || 'Component').name} (conditional)`;
+    } else if (mapping.componentSet) {
+      key = `component:${mapping.componentSet.newSetKey}`;
+      title = mapping.componentSet.newSetName;
+    } else {
+      key = `component:${mapping.newKey}`;
+      title = describeComponent(mapping.newName || 'Component').name;
+    }
+
+    let section = sections.get(key);
+    if (!section) {
+      section = { key, title, rows: [], matrices: [] };
+      sections.set(key, section);
+    }
+
+    const componentSet = mapping.componentSet;
+    if (componentSet && type === 'replace') {
+      let matrix = section.matrices.find((m) =>
+        m.componentSet.oldSetKey === componentSet.oldSetKey && m.componentSet.newSetKey === componentSet.newSetKey
+      );
+      if (!matrix) {
+        matrix = { componentSet, mappings: [] };
+        section.matrices.push(matrix);
+      }
+      matrix.mappings.push(mapping);
+    } else {
+      section.rows.push(mapping);
+    }
+  }
+
+  return Array.from(sections.values());
+}
+
+// Duplicates and conflicts
+
+// Dry run: classify imported rows against the current set before changing anything
+function classifyImport(existing: Mapping[], imported: Mapping[]): ImportRow[] {
+  const current = new Map<string, string>();
+  existing.forEach((m) => current.set(m.oldKey, m.newKey));
+  
+  // Only the first row for an old key can be added, so a set never ends up with two mappings for one key
+  const earlier = new Map<string, string>();
+  return imported.map((mapping) => {
+    let status: ImportStatus = 'new';
+    if (earlier.has(mapping.oldKey)) {
+      status = earlier.get(mapping.oldKey) === mapping.newKey ? 'duplicate' : 'repeated';
+    } else {
+      earlier.set(mapping.oldKey, mapping.newKey);
+      if (current.has(mapping.oldKey)) {
+        status = current.get(mapping.oldKey) === mapping.newKey ? 'duplicate' : 'conflict';
+      }
+    }
+    return { mapping, status };
+  });
+}
+
+// Old keys the mapping's instances can end up as: its new key and any conditional targets
+function getTargetKeys(mapping: Mapping): string[] {
+  return [mapping.newKey, ...(mapping.conditions || []).map((condition) => condition.newKey)].filter((key) => key);
+}
+
+function isPlainReplacement(mapping: Mapping): boolean {
+  return (mapping.type || 'replace') === 'replace' && !!mapping.newKey;
+}
+
+// Check the whole set for cycles, chains, replacements that are mapped away themselves and replacements
+// still in a deprecated library
+function validateMappings(mappings: Mapping[], registry: LibraryRegistry): MappingIssue[] {
+  const issues: MappingIssue[] = [];
+  const byOldKey = new Map<string, Mapping>();
+  mappings.forEach((mapping) => {
+    if (!byOldKey.has(mapping.oldKey)) byOldKey.set(mapping.oldKey, mapping);
+  });
+  const nameOf = (key: string) => {
+    const mapping = byOldKey.get(key);
+    return mapping ? describeComponent(mapping.oldName || key).name : key;
+  };
+  const addIssue = (issue: Omit<MappingIssue, 'id'>) => {
+    issues.push({ id: `${issue.kind}:${issue.oldKeys.join(',')}`, ...issue });
+  };
+  
+  // Cycles: walk the replacements depth first; reaching a key that's still on the path closes a cycle
+  const inCycle = new Set<string>();
+  const visited = new Set<string>();
+  const path: string[] = [];
+  const visit = (key: string) => {
+    visited.add(key);
+    path.push(key);
+    for (const target of getTargetKeys(byOldKey.get(key)!)) {
+      if (!byOldKey.has(target)) continue;
+      const onPath = path.indexOf(target);
+      if (onPath !== -1) {
+        const cycle = path.slice(onPath);
+        cycle.forEach((cycleKey) => inCycle.add(cycleKey));
+        addIssue({
+          kind: 'cycle',
+          oldKeys: cycle,
+          message: `Cycle: ${cycle.concat(target).map(nameOf).join(' → ')}`
+        });
+      } else if (!visited.has(target)) {
+        visit(target);
+      }
+    }
+    path.pop();
+  };
+  byOldKey.forEach((_mapping, key) => {
+    if (!visited.has(key)) visit(key);
+  });
+  
+  // Chains and replacements that are old keys themselves
+  byOldKey.forEach((mapping) => {
+    if (inCycle.has(mapping.oldKey)) return;
+    for (const target of getTargetKeys(mapping)) {
+      const next = byOldKey.get(target);
+      if (!next) continue;
+      
+      if (target === mapping.newKey && isPlainReplacement(mapping) && isPlainReplacement(next) && !inCycle.has(target)) {
+        // Follow the chain to its end: A → B → C → D collapses to A → D
+        let end = next;
+        const chain = [mapping.oldKey, next.oldKey];
+        while (byOldKey.has(end.newKey) && isPlainReplacement(byOldKey.get(end.newKey)!) && chain.indexOf(end.newKey) === -1) {
+          end = byOldKey.get(end.newKey)!;
+          chain.push(end.oldKey);
+        }
+        addIssue({
+          kind: 'chain',
+          oldKeys: chain,
+          message: `Chain: ${chain.map(nameOf).join(' → ')} → ${describeComponent(end.newName || end.newKey).name}`,
+          collapse: {
+            oldKey: mapping.oldKey,
+            newKey: end.newKey,
+            newName: end.newName,
+            newVariantProperties: end.newVariantProperties,
+            newComponentProperties: end.newComponentProperties,
+            newKeyStatus: end.newKeyStatus
+          }
+        });
+      } else {
+        const reason = inCycle.has(target) ? 'is part of a cycle' : `is mapped itself (${next.type || 'replace'})`;
+        addIssue({
+          kind: 'old-key-as-target',
+          oldKeys: [mapping.oldKey, target],
+          message: `${nameOf(mapping.oldKey)} is replaced by ${nameOf(target)}, which ${reason}`
+        });
+      }
+    }
+  });
+  
+  // Replacements in a library that old components come from, unless the whole set stays within its libraries
+  const deprecatedLibraries = new Set(mappings.map((mapping) => getLibraryId(registry, mapping.oldKey)).filter((id) => id));
+  const targets = mappings.reduce((keys: string[], mapping) => keys.concat(getTargetKeys(mapping)), []);
+  const leavesDeprecated = targets.some((key) => {
+    const libraryId = getLibraryId(registry, key);
+    return libraryId && !deprecatedLibraries.has(libraryId);
+  });
+  if (leavesDeprecated) {
+    byOldKey.forEach((mapping) => {
+      for (const target of getTargetKeys(mapping)) {
+        const libraryId = getLibraryId(registry, target);
+        if (!libraryId || !deprecatedLibraries.has(libraryId) || byOldKey.has(target)) continue;
+        const targetName = target === mapping.newKey ? mapping.newName : (mapping.conditions || []).filter((c) => c.newKey === target)[0].newName;
+        addIssue({
+          kind: 'deprecated-target',
+          oldKeys: [mapping.oldKey],
+          message: `${nameOf(mapping.oldKey)} is replaced by ${describeComponent(targetName || target).name}, which is still in ${getLibraryNameFromKey(registry, target)}`
+        });
+      }
+    });
+  }
+  
+  return issues;
+}
+
+// Classify incoming mappings (from an import or from mapping on the canvas) and list the issues they'd add to the set
+function reviewMappings(existing: Mapping[], incoming: Mapping[], registry: LibraryRegistry): { rows: ImportRow[]; issues: MappingIssue[] } {
+  const rows = classifyImport(existing, incoming);
+  // Check the set both ways it can turn out: with only the new rows added, and with conflicts replaced too
+  const mergeWith = (statuses: ImportStatus[]) => {
+    const added = rows.filter((row) => statuses.indexOf(row.status) !== -1).map((row) => row.mapping);
+    const replacedKeys = new Set(added.map((mapping) => mapping.oldKey));
+    return existing.filter((mapping) => !replacedKeys.has(mapping.oldKey)).concat(added);
+  };
+  
+  const seen = new Set(validateMappings(existing, registry).map((issue) => issue.id));
+  const issues: MappingIssue[] = [];
+  for (const merged of [mergeWith(['new']), mergeWith(['new', 'conflict'])]) {
+    for (const issue of validateMappings(merged, registry)) {
+      if (!seen.has(issue.id)) {
+        seen.add(issue.id);
+        issues.push(issue);
+      }
+    }
+  }
+  return { rows, issues };
+}
+
+// Import
+
+const isRecord = (value: unknown): value is { [key: string]: unknown } =>
+  !!value && typeof value === 'object' && !Array.isArray(value);
+const hasStrings = (value: unknown, keys: string[]) => isRecord(value) && keys.every((key) => typeof value[key] === 'string');
+const isListOf = (value: unknown, check: (item: unknown) => boolean) => Array.isArray(value) && value.every(check);
+
+// Imported fields that hold lists or objects, labeled with their CSV column. The rest of the plugin relies on their shape
+const STRUCTURED_FIELDS: { field: keyof Mapping; label: string; valid: (value: unknown) => boolean }[] = [
+  { field: 'tags', label: 'Tags', valid: (v) => isListOf(v, (tag) => typeof tag === 'string') },
+  { field: 'conditions', label: 'Conditions', valid: (v) => isListOf(v, (c) => hasStrings(c, ['property', 'value', 'newKey'])) },
+  { field: 'propertyMap', label: 'Property rules', valid: (v) => isListOf(v, (rule) => hasStrings(rule, ['fromName', 'toName'])) },
+  { field: 'layerMap', label: 'Layer rules', valid: (v) => isListOf(v, (rule) => hasStrings(rule, ['fromPath', 'toPath'])) },
+  { field: 'oldVariantProperties', label: 'Old variants', valid: (v) => v === null || isRecord(v) },
+  { field: 'newVariantProperties', label: 'New variants', valid: (v) => v === null || isRecord(v) },
+  { field: 'oldComponentProperties', label: 'Old properties', valid: isRecord },
+  { field: 'newComponentProperties', label: 'New properties', valid: isRecord },
+  { field: 'componentSet', label: 'Component set', valid: (v) => hasStrings(v, ['oldSetKey', 'oldSetName', 'newSetKey', 'newSetName']) }
+];
+
+// Drop structured fields of the wrong shape (a Conditions cell of `5`, JSON tags given as a string), calling warn with each label
+function dropMalformedFields(fields: Partial<Mapping>, warn: (label: string) => void) {
+  for (const { field, label, valid } of STRUCTURED_FIELDS) {
+    if (fields[field] !== undefined && !valid(fields[field])) {
+      delete fields[field];
+      warn(label);
+    }
+  }
+}
+
+// Create a mapping from imported fields, filling in anything the file didn't have
+function createImportedMapping(fields: Partial<Mapping> & { oldLibrary?: string; newLibrary?: string }, libraryHints: string[]): Mapping {
+  const oldInput = String(fields.oldKey || '');
+  const newInput = String(fields.newKey || '');
+  [oldInput, newInput].filter((input) => getFileKeyHint(input)).forEach((input) => libraryHints.push(input.trim()));
+  
+  const mapping = normalizeMapping({
+    notes: '',
+    oldVariantProperties: null,
+    newVariantProperties: null,
+    oldComponentProperties: {},
+    newComponentProperties: {},
+    ...fields,
+    oldKey: formatComponentKey(oldInput),
+    newKey: formatComponentKey(newInput),
+    oldKeyStatus: 'pending',
+    newKeyStatus: 'pending'
+  }) as Mapping & { oldLibrary?: string; newLibrary?: string };
+  // Library names in JSON exports are looked up from the registry, not stored on mappings
+  delete mapping.oldLibrary;
+  delete mapping.newLibrary;
+  mapping.oldName = mapping.oldName || `Imported (${mapping.oldKey.substring(0, 8)}...)`;
+  if (mapping.newKey) {
+    mapping.newName = mapping.newName || `Imported (${mapping.newKey.substring(0, 8)}...)`;
+  }
+  return mapping;
+}
+
+// Parse an exported (or hand-written) CSV or JSON file
+function parseImport(content: string, fileName: string): ParsedImport {
+  const isJSON = fileName.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(content);
+  return isJSON ? parseImportJSON(content) : parseImportCSV(content);
+}
+
+function parseImportJSON(content: string): ParsedImport {
+  try {
+    const data = JSON.parse(content);
+    const rows = Array.isArray(data) ? data : data.mappings;
+    if (!Array.isArray(rows)) {
+      return { error: 'JSON file has no mappings list' };
+    }
+    
+    const libraryHints: string[] = [];
+    const warnings: string[] = [];
+    const mappings: Mapping[] = [];
+    rows.forEach((row, index) => {
+      if (!row || !row.oldKey || !(row.newKey || (row.type && row.type !== 'replace'))) return;
+      const fields = { ...row };
+      dropMalformedFields(fields, (label) => warnings.push(`Mapping ${index + 1}: ignored malformed "${label}" value`));
+      mappings.push(createImportedMapping(fields, libraryHints));
+    });
+    return {
+      mappings,
+      skipped: rows.length - mappings.length,
+      libraryHints,
+      warnings
+    };
+  } catch (error) {
+    console.error('Error parsing JSON:', error);
+    return { error: 'Failed to parse JSON file. Please check the format.' };
+  }
+}
+
+function parseImportCSV(csvContent: string): ParsedImport {
+  try {
+    const rows = parseCSV(csvContent).filter((row) => row.some((cell) => cell.trim()));
+    if (rows.length === 0) {
+      return { error: 'CSV file is empty' };
+    }
+    
+    const header = rows[0].map((cell) => cell.trim().toLowerCase());
+    const importedMappings: Mapping[] = [];
+    const libraryHints: string[] = [];
+    const warnings: string[] = [];
+    let skippedCount = 0;
+    
+    // Add a mapping for each old key in a cell that may list several (comma or newline separated)
+    const addRow = (oldKeysStr: string, newKey: string, fields: Partial<Mapping>) => {
+      const oldKeys = oldKeysStr.split(/[\n,]/).map((key) => key.trim()).filter((key) => key);
+      // Only plain replacements need a new key
+      const needsNewKey = !fields.type || fields.type === 'replace';
+      if (oldKeys.length === 0 || (needsNewKey && !newKey.trim())) {
+        skippedCount++;
+        return;
+      }
+      oldKeys.forEach((oldKey) => importedMappings.push(createImportedMapping({ ...fields, oldKey, newKey }, libraryHints)));
+    };
+    
+    if (header.includes('old key') && header.includes('new key')) {
+      // Current export format: columns looked up by header
+      rows.slice(1).forEach((row, rowIndex) => {
+        const fields: Partial<Mapping> = {};
+        CSV_COLUMNS.forEach((column) => {
+          const index = header.indexOf(column.header.toLowerCase());
+          if (column.write && index !== -1 && row[index] !== undefined) {
+            try {
+              column.write(fields, row[index].trim());
+            } catch (_error) {
+              // Row numbers count the header row, as spreadsheets show them
+              warnings.push(`Row ${rowIndex + 2}: ignored unreadable "${column.header}" value`);
+            }
+          }
+        });
+        dropMalformedFields(fields, (label) => warnings.push(`Row ${rowIndex + 2}: ignored malformed "${label}" value`));
+        addRow(fields.oldKey || '', fields.newKey || '', fields);
+      });
+    } else if (header.includes('old components') && header.includes('new')) {
+      // Earlier export format: Old components,New,Notes
+      const oldIndex = header.indexOf('old components');
+      const newIndex = header.indexOf('new');
+      const notesIndex = header.indexOf('notes');
+      rows.slice(1).forEach((row) => {
+        addRow(row[oldIndex] || '', row[newIndex] || '', { notes: notesIndex !== -1 ? (row[notesIndex] || '').trim() : '' });
+      });
+    } else {
+      // Component Name, Key(s), Replace with Key - with or without a header row
+      const hasHeader = header.some((cell) => cell.includes('component name')) && header.some((cell) => cell.includes('replace with key'));
+      rows.slice(hasHeader ? 1 : 0).forEach((row) => {
+        if (row.length < 3) {
+          skippedCount++;
+          return;
+        }
+        const componentName = row[0].trim();
+        addRow(row[1], row[2], { oldName: componentName, newName: componentName });
+      });
+    }
+    
+    return { mappings: importedMappings, skipped: skippedCount, libraryHints, warnings };
+  } catch (error) {
+    console.error('Error parsing CSV:', error);
+    return { error: 'Failed to parse CSV file. Please check the format.' };
+  }
+}
+
+// Parse CSV content into rows of cells, allowing quoted cells to contain commas, quotes and newlines
+function parseCSV(content: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let current = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    
+    if (char === '"') {
+      if (inQuotes && content[i + 1] === '"') {
+        // Escaped quote
+        current += '"';
+        i++; // Skip next quote
+      } else {
+        // Toggle quote state
+        inQuotes = !inQuotes;
+      }
+    } else if (char === ',' && !inQuotes) {
+      // End of field
+      row.push(current);
+      current = '';
+    } else if ((char === '\n' || char === '\r') && !inQuotes) {
+      // End of row (treat \r\n as one line break)
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(current);
+      rows.push(row);
+      row = [];
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  
+  // Add the last field
+  if (current || row.length) {
+    row.push(current);
+    rows.push(row);
+  }
+  
+  return rows;
+}
+
+// Export
+
+// Quote a CSV value when it contains commas, quotes or line breaks
+function toCSVField(value: unknown): string {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(headers: string[], rows: unknown[][]): string {
+  return [headers, ...rows].map((row) => row.map(toCSVField).join(',')).join('\n');
+}
+
+function getExportFilename(name: string, extension: string, date: Date): string {
+  const slug = name ? `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-` : '';
+  return `component-migration-${slug}${date.toISOString().split('T')[0]}.${extension}`;
+}
+
+function serializeMappings(format: ExportFormat, mappings: Mapping[], setName: string, registry: LibraryRegistry, date: Date): ExportFile {
+  const filename = getExportFilename(setName, format, date);
+  if (format === 'csv') {
+    const rows = mappings.map((m) => CSV_COLUMNS.map((column) => column.read(m, registry)));
+    return { content: toCSV(CSV_COLUMNS.map((column) => column.header), rows), filename, mimeType: 'text/csv;charset=utf-8;' };
+  }
+  
+  const data = {
+    format: 'component-migration',
+    version: 1,
+    setName,
+    exportedAt: date.toISOString(),
+    libraries: registry.libraries,
+    mappings: mappings.map((m) => ({
+      ...m,
+      oldLibrary: getLibraryNameFromKey(registry, m.oldKey),
+      newLibrary: m.newKey ? getLibraryNameFromKey(registry, m.newKey) : ''
+    }))
+  };
+  return { content: JSON.stringify(data, null, 2), filename, mimeType: 'application/json;charset=utf-8;' };
+}
+
+// Progress
+
+// Share of legacy instances already swapped: migrated / (migrated + still remaining)
+function getProgressPercent(status: Pick<DocumentMigrationStatus, 'migratedTotal' | 'remainingTotal'>): number {
+  const total = status.migratedTotal + status.remainingTotal;
+  return total ? Math.round(status.migratedTotal / total * 100) : 100;
+}
+
+function serializeProgress(format: ExportFormat, files: DocumentMigrationStatus[], date: Date): ExportFile {
+  const filename = getExportFilename('progress', format, date);
+  if (format === 'csv') {
+    const headers = ['File', 'File ID', 'Last applied set', 'Last applied', 'Counted set', 'Counted', 'Migrated', 'Remaining', 'Unmapped legacy', 'Done %'];
+    const rows = files.map((file) => [
+      file.fileName,
+      file.fileId,
+      file.appliedSet ? file.appliedSet.name : '',
+      file.appliedAt ? new Date(file.appliedAt).toISOString() : '',
+      file.countedSet ? file.countedSet.name : '',
+      file.countedAt ? new Date(file.countedAt).toISOString() : '',
+      file.migratedTotal,
+      file.remainingTotal,
+      file.unmappedLegacyTotal,
+      getProgressPercent(file)
+    ]);
+    return { content: toCSV(headers, rows), filename, mimeType: 'text/csv;charset=utf-8;' };
+  }
+  
+  const data = {
+    format: 'component-migration-progress',
+    version: 1,
+    exportedAt: date.toISOString(),
+    files: files.map((file) => ({ ...file, percentDone: getProgressPercent(file) }))
+  };
+  return { content: JSON.stringify(data, null, 2), filename, mimeType: 'application/json;charset=utf-8;' };
+}
+
+// Layer paths
+
+const LAYER_PATH_SEPARATOR = ' > ';
+
+// Split a layer path, tolerating missing spaces around the separator
+function splitLayerPath(path: string): string[] {
+  return path.split('>').map((name) => name.trim()).filter((name) => name);
+}
+
+// Translate an old layer path with the mapping's layer rules. An exact rule wins, then the rule for the
+// closest enclosing group; without one the path is kept as is
+function mapLayerPath(path: string, rules: LayerRule[]): string {
+  const names = splitLayerPath(path);
+  let best: { length: number; toPath: string } | null = null;
+  for (const rule of rules) {
+    const from = splitLayerPath(rule.fromPath);
+    if (from.length === 0 || from.length > names.length || (best && best.length >= from.length)) continue;
+    if (from.every((name, i) => names[i] === name)) {
+      best = { length: from.length, toPath: rule.toPath };
+    }
+  }
+  if (!best) {
+    return names.join(LAYER_PATH_SEPARATOR);
+  }
+  return splitLayerPath(best.toPath).concat(names.slice(best.length)).join(LAYER_PATH_SEPARATOR);
+}
+
+// Visual diff
+
+function describeDiff(diff: VisualDiff): string[] {
+  const lines: string[] = [];
+  if (diff.widthDelta || diff.heightDelta) {
+    const signed = (value: number) => value > 0 ? `+${value}` : String(value);
+    lines.push(`Size: ${signed(diff.widthDelta)} × ${signed(diff.heightDelta)} px`);
+  }
+  lines.push(...diff.changes);
+  if (diff.removedProperties.length) {
+    lines.push(`Properties removed: ${diff.removedProperties.join(', ')}`);
+  }
+  if (diff.addedProperties.length) {
+    lines.push(`Properties added: ${diff.addedProperties.join(', ')}`);
+  }
+  return lines;
+}
+
+// Under Node (tests, scripts) code.js is a CommonJS module; the plugin sandbox has no `module`
+declare const module: { exports: unknown } | undefined;
+if (typeof module !== 'undefined' && module) {
+  module.exports = {
+    formatComponentKey,
+    getFileKeyHint,
+    getLibraryNameFromKey,
+    describeComponent,
+    parseVariantProperties,
+    parseTags,
+    normalizeMapping,
+    migrateStoredMappings,
+    groupMappings,
+    classifyImport,
+    validateMappings,
+    reviewMappings,
+    parseImport,
+    parseCSV,
+    toCSVField,
+    serializeMappings,
+    getProgressPercent,
+    serializeProgress,
+    splitLayerPath,
+    mapLayerPath,
+    describeDiff
+  };
+}
@@ -0,0 +1,90 @@
+// Messages between the UI (ui.html) and the plugin (code.ts). The UI posts `{ pluginMessage: UIMessage }`
+// and receives `PluginMessage` objects in `onmessage`; code.ts checks everything it handles and sends against these.
+// Lint checks each file on its own and can't see code.ts using them, so package.json turns off no-unused-vars here
+
+type NotificationVariant = 'success' | 'info' | 'warning' | 'error';
+
+// A migration run as listed in the UI's run history
+interface MigrationRunSummary {
+  id: string;
+  timestamp: number;
+  scope: MigrationScope;
+  pageName: string;
+  swapped: number;
+  rolledBackAt: number | null;
+}
+
+// Sent by the UI
+type UIMessage =
+  | { type: 'loadMappings' }
+  | { type: 'saveMappings'; data: StoredMappings }
+  | { type: 'saveSettings'; settings: PluginSettings }
+  | { type: 'getInitialSelection' }
+  | { type: 'copySelectedKey' }
+  | { type: 'insertComponentsByKeys'; keys: string[] }
+  | { type: 'resolveKeys'; keys: string[]; libraryHints?: string[] }
+  | { type: 'measureDiffs'; pairs: { oldKey: string; newKey: string }[] }
+  | { type: 'generateVisuals'; mappings: Mapping[]; guide: GuideOptions }
+  | { type: 'parseImport'; content: string; fileName: string; existing: Mapping[] }
+  | { type: 'reviewMappings'; incoming: Mapping[]; existing: Mapping[] }
+  | { type: 'validateMappings'; setId: string; mappings: Mapping[] }
+  | { type: 'exportMappings'; format: ExportFormat; mappings: Mapping[]; setName: string }
+  | { type: 'registerFileLibrary' }
+  | { type: 'setLibraryAlias'; libraryId: string; name: string }
+  | { type: 'assignLibrary'; keys: string[]; libraryId: string }
+  | { type: 'applyMigration'; mappings: Mapping[]; scope: MigrationScope; set: SetReference | null; includeNested: boolean }
+  | { type: 'getMigrationRuns' }
+  | { type: 'rollbackRun'; runId: string }
+  | { type: 'getProgress' }
+  | { type: 'forgetFile'; fileId: string }
+  | { type: 'exportProgress'; format: ExportFormat }
+  | { type: 'pairComponentSets'; oldSet: ComponentSetInfo; newSet: ComponentSetInfo; rules?: PropertyRule[] }
+  | { type: 'getPages' }
+  | { type: 'suggestReplacements'; request: SuggestionRequest }
+  | { type: 'scanUsage'; mappings: Mapping[]; set: SetReference | null }
+  | { type: 'selectNodes'; nodeIds: string[] }
+  | { type: 'findInstances'; key: string; scope: 'page' | 'file' }
+  // Show a Figma toast
+  | { type: 'message'; text: string; variant?: NotificationVariant; timeout?: number };
+
+// Sent by the plugin
+type PluginMessage =
+  | { type: 'loadedMappings'; data: StoredMappings | null; source: MappingSource | null; settings: PluginSettings }
+  | { type: 'selectionChange'; selection: ComponentInfo[]; componentSets: ComponentSetInfo[] }
+  | { type: 'keyCopied'; success: boolean; key?: string; error?: string }
+  | { type: 'componentInsertionResult'; success: boolean; insertedCount: number; errorCount: number; errors: string[] }
+  | { type: 'keysResolved'; results: ResolvedKey[] }
+  | { type: 'visualDiffs'; results: { oldKey: string; newKey: string; diff: VisualDiff | null }[] }
+  // Imports and mappings made on the canvas are reviewed the same way
+  | { type: 'mappingReview'; source: 'import' | 'mapping'; rows: ImportRow[]; issues: MappingIssue[]; skipped: number; libraryHints: string[]; warnings: string[] }
+  | { type: 'mappingReview'; source: 'import'; error: string }
+  | { type: 'mappingIssues'; setId: string; issues: MappingIssue[] }
+  | ({ type: 'exportReady' } & ExportFile)
+  | { type: 'libraryRegistry'; registry: LibraryRegistry; teamLibraries: string[] }
+  | {
+      type: 'migrationResult';
+      success: boolean;
+      scope: MigrationScope;
+      runId?: string | null;
+      warning?: string;
+      results: MigrationResult[];
+      swapped: number;
+      detached: number;
+      removed: number;
+      skipped: number;
+      failed: number;
+      error?: string;
+    }
+  | { type: 'migrationRuns'; runs: MigrationRunSummary[] }
+  | { type: 'rollbackResult'; success: boolean; restored: number; failed: number; incomplete?: number; error?: string }
+  | { type: 'progressIndex'; files: DocumentMigrationStatus[]; currentFileId: string }
+  | { type: 'componentSetPairs'; success: true; oldSet: ComponentSetInfo; newSet: ComponentSetInfo; pairs: VariantPair[]; newVariants: VariantInfo[] }
+  | { type: 'componentSetPairs'; success: false; error: string }
+  | { type: 'pages'; pages: { id: string; name: string }[]; currentPageId: string }
+  | { type: 'replacementSuggestions'; success: true; suggestions: Suggestion[]; unmatched: number }
+  | { type: 'replacementSuggestions'; success: false; error: string }
+  | { type: 'foundInstances'; success: true; key: string; scope: 'page' | 'file'; nodeIds: string[]; pageCount: number }
+  | { type: 'foundInstances'; success: false; key: string; scope: 'page' | 'file'; error: string }
+  | { type: 'scanResult'; success: boolean; rows: ScanRow[]; totalInstances: number; error?: string }
+  | { type: 'saveFailed'; error: string }
+  | { type: 'message'; text: string; variant: NotificationVariant; timeout?: number };
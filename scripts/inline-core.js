@@ -0,0 +1,38 @@
+// Copy the compiled core.ts (build/core.js) into ui.html, so the UI runs the same mapping logic as the plugin.
+// The UI is a single inline HTML file, so it can't load core.js on its own
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const uiPath = path.join(root, 'ui.html');
+const corePath = path.join(root, 'build', 'core.js');
+
+const pattern = /(<script data-source="core\.ts">\n)[\s\S]*?(\n? *<\/script>)/;
+
+function inlineCore() {
+  const core = fs.readFileSync(corePath, 'utf8');
+  const ui = fs.readFileSync(uiPath, 'utf8');
+  if (!pattern.test(ui)) {
+    throw new Error('ui.html has no <script data-source="core.ts"> block');
+  }
+  if (core.includes('</script')) {
+    throw new Error('build/core.js contains "</script", which would end the inline script early');
+  }
+
+  const indented = core.trimEnd().split('\n').map((line) => (line ? `    ${line}` : line)).join('\n');
+  const updated = ui.replace(pattern, (_match, open, close) => `${open}${indented}\n${close.replace(/^\n/, '')}`);
+  if (updated !== ui) {
+    fs.writeFileSync(uiPath, updated);
+  }
+}
+
+module.exports = { corePath, inlineCore };
+
+if (require.main === module) {
+  try {
+    inlineCore();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
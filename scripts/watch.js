@@ -0,0 +1,37 @@
+// Rebuild while editing: code.js and build/core.js each get a tsc watcher, and ui.html gets
+// the new core.js inlined whenever it changes
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { corePath, inlineCore } = require('./inline-core');
+
+const root = path.join(__dirname, '..');
+const tsc = require.resolve('typescript/bin/tsc');
+
+const watchers = ['tsconfig.json', 'tsconfig.core.json'].map((project) =>
+  spawn(process.execPath, [tsc, '-p', project, '--watch', '--preserveWatchOutput'], { cwd: root, stdio: 'inherit' })
+);
+process.on('exit', () => watchers.forEach((watcher) => watcher.kill()));
+process.on('SIGINT', () => process.exit());
+
+// tsc can write core.js in several steps; inline once it settles
+let timer = null;
+function scheduleInline() {
+  clearTimeout(timer);
+  timer = setTimeout(() => {
+    try {
+      inlineCore();
+      console.log('Inlined build/core.js into ui.html');
+    } catch (err) {
+      console.error(err.message);
+    }
+  }, 200);
+}
+
+// Watch the folder rather than the file, which doesn't exist before the first build and is replaced on each one
+fs.mkdirSync(path.dirname(corePath), { recursive: true });
+fs.watch(path.dirname(corePath), (_event, filename) => {
+  if (filename === path.basename(corePath)) {
+    scheduleInline();
+  }
+});
@@ -0,0 +1,228 @@
+// Tests for the pure helpers in core.ts, run against the standalone build (npm run build writes build/core.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const core = require('../build/core.js');
+
+const emptyRegistry = () => ({ version: 1, libraries: {}, components: {} });
+
+const mapping = (oldKey, newKey, fields = {}) => core.normalizeMapping({
+  oldKey,
+  newKey,
+  oldName: `Old ${oldKey}`,
+  newName: `New ${newKey}`,
+  ...fields
+});
+
+test('formatComponentKey accepts raw keys, fileKey:componentKey and URLs', () => {
+  assert.equal(core.formatComponentKey('  abc123  '), 'abc123');
+  assert.equal(core.formatComponentKey('FILE42:abc123'), 'abc123');
+  assert.equal(core.formatComponentKey('https://www.figma.com/design/FILE42/Lib?node-id=1-2&key=abc123'), 'abc123');
+  assert.equal(core.formatComponentKey('https://www.figma.com/design/FILE42/Lib?key=a%2Fb#x'), 'a/b');
+  // A URL without a key is kept as entered, so it shows up as not found instead of disappearing
+  assert.equal(core.formatComponentKey('https://www.figma.com/design/FILE42/Lib'), 'https://www.figma.com/design/FILE42/Lib');
+});
+
+test('parseCSV handles quoted commas, escaped quotes, newlines in cells and CRLF', () => {
+  const rows = core.parseCSV('a,"b, c","say ""hi"""\r\n"multi\nline",2,3\n');
+  assert.deepEqual(rows, [
+    ['a', 'b, c', 'say "hi"'],
+    ['multi\nline', '2', '3']
+  ]);
+  assert.deepEqual(core.parseCSV('x,y'), [['x', 'y']]);
+});
+
+test('parseImport reads the current CSV export format', () => {
+  const csv = [
+    'Old key,Old name,New key,New name,Notes,Status,Tags,Type',
+    '"FILE1:old1, old2",Button,new1,Button v2,Swap it,approved,"forms, p1",replace',
+    'old3,Icon,,,,,,detach',
+    'old4,Card,,,,,,replace'
+  ].join('\n');
+  const parsed = core.parseImport(csv, 'mappings.csv');
+
+  assert.ok(!('error' in parsed));
+  assert.equal(parsed.skipped, 1);
+  assert.deepEqual(parsed.mappings.map((m) => [m.oldKey, m.newKey, m.type]), [
+    ['old1', 'new1', 'replace'],
+    ['old2', 'new1', 'replace'],
+    ['old3', '', 'detach']
+  ]);
+  assert.equal(parsed.mappings[0].status, 'approved');
+  assert.deepEqual(parsed.mappings[0].tags, ['forms', 'p1']);
+  assert.deepEqual(parsed.libraryHints, ['FILE1:old1']);
+  assert.equal(parsed.mappings[0].oldKeyStatus, 'pending');
+});
+
+test('parseImport warns about unreadable cells instead of dropping the row', () => {
+  const parsed = core.parseImport('Old key,New key,Conditions\nold1,new1,{not json', 'mappings.csv');
+  assert.equal(parsed.mappings.length, 1);
+  assert.deepEqual(parsed.warnings, ['Row 2: ignored unreadable "Conditions" value']);
+});
+
+test('parseImport reads the earlier CSV formats and JSON', (t) => {
+  t.mock.method(console, 'error', () => {});
+
+  const earlier = core.parseImport('Old components,New,Notes\n"a,b",c,note', 'old.csv');
+  assert.deepEqual(earlier.mappings.map((m) => [m.oldKey, m.newKey, m.notes]), [['a', 'c', 'note'], ['b', 'c', 'note']]);
+
+  const headerless = core.parseImport('Button,key1,key2\nshort,row', 'keys.csv');
+  assert.deepEqual(headerless.mappings.map((m) => [m.oldName, m.oldKey, m.newKey]), [['Button', 'key1', 'key2']]);
+  assert.equal(headerless.skipped, 1);
+
+  const json = core.parseImport(JSON.stringify({ mappings: [{ oldKey: 'a', newKey: 'b', oldLibrary: 'Old' }, { oldKey: 'c' }] }), 'set.json');
+  assert.equal(json.mappings.length, 1);
+  assert.equal(json.skipped, 1);
+  assert.equal(json.mappings[0].oldLibrary, undefined);
+
+  assert.deepEqual(core.parseImport('{broken', 'set.json'), { error: 'Failed to parse JSON file. Please check the format.' });
+  assert.deepEqual(core.parseImport('', 'empty.csv'), { error: 'CSV file is empty' });
+});
+
+test('serializeMappings CSV output imports back without losing mapping fields', () => {
+  const original = [
+    mapping('old1', 'new1', {
+      notes: 'Line one\nline "two", with comma',
+      status: 'approved',
+      tags: ['forms'],
+      oldVariantProperties: { Size: 'Large' },
+      newVariantProperties: { Size: 'L' },
+      propertyMap: [{ fromName: 'Size', toName: 'Size', fromValue: 'Large', toValue: 'L' }],
+      layerMap: [{ fromPath: 'Label', toPath: 'Content > Label' }],
+      oldComponentProperties: { Size: { type: 'VARIANT', defaultValue: 'Small', variantOptions: ['Small', 'Large'] } },
+      componentSet: { oldSetKey: 'os', oldSetName: 'Old set', newSetKey: 'ns', newSetName: 'New set' }
+    }),
+    mapping('old2', '', {
+      newName: '',
+      oldVariantProperties: null,
+      newVariantProperties: null,
+      oldComponentProperties: {},
+      type: 'conditional',
+      conditions: [{ property: 'Size', value: 'Small', newKey: 'new2', newName: 'Compact' }]
+    })
+  ];
+  const file = core.serializeMappings('csv', original, 'Buttons', emptyRegistry(), new Date(2024, 0, 2));
+  assert.match(file.mimeType, /^text\/csv/);
+
+  const parsed = core.parseImport(file.content, file.filename);
+  assert.equal(parsed.skipped, 0);
+  const fields = ['oldKey', 'newKey', 'oldName', 'newName', 'notes', 'status', 'tags', 'type', 'conditions',
+    'oldVariantProperties', 'newVariantProperties', 'propertyMap', 'layerMap', 'oldComponentProperties', 'componentSet'];
+  parsed.mappings.forEach((imported, index) => {
+    for (const field of fields) {
+      assert.deepEqual(imported[field], original[index][field], field);
+    }
+  });
+});
+
+test('serializeMappings JSON output carries library names from the registry', () => {
+  const registry = { version: 1, libraries: { L1: { id: 'L1', name: 'Hawkins v1', source: 'manual' } }, components: { old1: 'L1' } };
+  const file = core.serializeMappings('json', [mapping('old1', 'new1')], 'Set', registry, new Date(2024, 0, 2));
+  const data = JSON.parse(file.content);
+  assert.equal(data.format, 'component-migration');
+  assert.equal(data.mappings[0].oldLibrary, 'Hawkins v1');
+  assert.deepEqual(data.libraries, registry.libraries);
+});
+
+test('validateMappings finds chains with their collapsed target', () => {
+  const issues = core.validateMappings([mapping('a', 'b'), mapping('b', 'c'), mapping('c', 'd')], emptyRegistry());
+  const chain = issues.find((issue) => issue.kind === 'chain' && issue.oldKeys[0] === 'a');
+  assert.deepEqual(chain.oldKeys, ['a', 'b', 'c']);
+  assert.equal(chain.collapse.newKey, 'd');
+});
+
+test('validateMappings finds cycles and targets that are mapped away', () => {
+  const cycle = core.validateMappings([mapping('a', 'b'), mapping('b', 'a')], emptyRegistry());
+  assert.deepEqual(cycle.map((issue) => issue.kind), ['cycle']);
+
+  const detached = core.validateMappings([mapping('a', 'b'), mapping('b', '', { type: 'detach' })], emptyRegistry());
+  assert.deepEqual(detached.map((issue) => [issue.kind, issue.oldKeys]), [['old-key-as-target', ['a', 'b']]]);
+});
+
+test('validateMappings flags replacements left in a deprecated library', () => {
+  const registry = { version: 1, libraries: {}, components: { a: 'OLD', b: 'OLD', x: 'OLD', c: 'NEW' } };
+  const issues = core.validateMappings([mapping('a', 'x'), mapping('b', 'c')], registry);
+  assert.deepEqual(issues.map((issue) => [issue.kind, issue.oldKeys]), [['deprecated-target', ['a']]]);
+
+  // A set that stays inside its libraries (e.g. renames within one library) isn't flagged
+  assert.deepEqual(core.validateMappings([mapping('a', 'x')], registry), []);
+});
+
+test('groupMappings groups by replacement and collects component set pairs into matrices', () => {
+  const componentSet = { oldSetKey: 'os', oldSetName: 'Old', newSetKey: 'ns', newSetName: 'Button' };
+  const sections = core.groupMappings([
+    mapping('a', 'n1'),
+    mapping('b', 'n1'),
+    mapping('v1', 'nv1', { componentSet }),
+    mapping('v2', 'nv2', { componentSet }),
+    mapping('d', '', { type: 'detach' })
+  ], 'component', emptyRegistry());
+
+  assert.deepEqual(sections.map((section) => section.key), ['component:n1', 'component:ns', 'no-replacement']);
+  assert.equal(sections[0].rows.length, 2);
+  assert.equal(sections[1].matrices.length, 1);
+  assert.equal(sections[1].matrices[0].mappings.length, 2);
+  assert.equal(sections[2].rows[0].oldKey, 'd');
+});
+
+test('groupMappings by library labels sections with library names', () => {
+  const registry = {
+    version: 1,
+    libraries: { L1: { id: 'L1', name: 'Hawkins v1', source: 'manual' }, L2: { id: 'L2', name: 'Hawkins v2', source: 'manual' } },
+    components: { a: 'L1', n1: 'L2' }
+  };
+  const sections = core.groupMappings([mapping('a', 'n1')], 'library', registry);
+  assert.equal(sections[0].title, 'Hawkins v1 → Hawkins v2');
+});
+
+test('migrateStoredMappings upgrades every stored format to named sets', () => {
+  const legacyArray = core.migrateStoredMappings([mapping('a', 'b')]);
+  assert.equal(legacyArray.sets.length, 1);
+  assert.equal(legacyArray.sets[0].name, 'Default');
+  assert.equal(legacyArray.activeSetId, legacyArray.sets[0].id);
+
+  const versionOne = core.migrateStoredMappings({ mappings: [mapping('a', 'b')], timestamp: 123 });
+  assert.equal(versionOne.sets[0].timestamp, 123);
+  assert.equal(versionOne.sets[0].mappings[0].oldKey, 'a');
+
+  const sets = [{ id: 's1', name: 'One', timestamp: 1, mappings: [] }, { id: 's2', name: 'Two', timestamp: 1, mappings: [] }];
+  assert.equal(core.migrateStoredMappings({ version: 2, activeSetId: 's2', sets }).activeSetId, 's2');
+  assert.equal(core.migrateStoredMappings({ version: 2, activeSetId: 'gone', sets }).activeSetId, 's1');
+
+  assert.equal(core.migrateStoredMappings(null), null);
+  assert.equal(core.migrateStoredMappings({ something: 'else' }), null);
+});
+
+test('classifyImport lets only the first row for an old key through', () => {
+  const rows = core.classifyImport([mapping('x', 'y')], [
+    mapping('a', 'b'),
+    mapping('a', 'c'),
+    mapping('a', 'b'),
+    mapping('x', 'z'),
+    mapping('x', 'w')
+  ]);
+  assert.deepEqual(rows.map((row) => row.status), ['new', 'repeated', 'duplicate', 'conflict', 'repeated']);
+
+  // Adding the new rows and replacing conflicts still leaves one mapping per old key
+  const added = rows.filter((row) => row.status === 'new' || row.status === 'conflict').map((row) => row.mapping.oldKey);
+  assert.deepEqual(added, ['a', 'x']);
+});
+
+test('parseImport drops structured values of the wrong shape with a warning', () => {
+  const csv = core.parseImport('Old key,New key,Conditions,Property rules,Component set\nold1,new1,5,"[{""fromName"":1}]","[]"', 'mappings.csv');
+  assert.deepEqual(csv.mappings[0].conditions, []);
+  assert.deepEqual(csv.mappings[0].propertyMap, []);
+  assert.equal(csv.mappings[0].componentSet, undefined);
+  assert.deepEqual(csv.warnings, [
+    'Row 2: ignored malformed "Conditions" value',
+    'Row 2: ignored malformed "Property rules" value',
+    'Row 2: ignored malformed "Component set" value'
+  ]);
+
+  const json = core.parseImport(JSON.stringify([
+    { oldKey: 'a', newKey: 'b', conditions: 'oops', tags: 'x', layerMap: [{ fromPath: 'A', toPath: 'B' }] }
+  ]), 'set.json');
+  assert.deepEqual(json.mappings[0].conditions, []);
+  assert.deepEqual(json.mappings[0].tags, []);
+  assert.deepEqual(json.mappings[0].layerMap, [{ fromPath: 'A', toPath: 'B' }]);
+  assert.deepEqual(json.warnings, ['Mapping 1: ignored malformed "Tags" value', 'Mapping 1: ignored malformed "Conditions" value']);
+});
@@ -0,0 +1,218 @@
+// Tests for the plugin's message handlers in code.js, against a mocked figma global
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Figma rejects plugin data entries over 100 kB
+const MAX_PLUGIN_DATA_LENGTH = 100000;
+
+const posted = [];
+const pluginData = {};
+const sharedData = {};
+const clientStorage = {};
+const importable = {};
+const nodes = {};
+
+function setEntry(store, key, value) {
+  if (value.length > MAX_PLUGIN_DATA_LENGTH) {
+    throw new Error('Plugin data entry too large');
+  }
+  if (value) {
+    store[key] = value;
+  } else {
+    delete store[key];
+  }
+}
+
+function createComponent(key, name) {
+  const component = {
+    type: 'COMPONENT',
+    key,
+    name,
+    remote: true,
+    parent: null,
+    width: 100,
+    height: 40,
+    componentPropertyDefinitions: {},
+    createInstance: () => ({ type: 'INSTANCE', width: 100, height: 40, getMainComponentAsync: async () => component })
+  };
+  return component;
+}
+
+// Instances with one text layer. Swapping resets the text to the new component's name, so a text
+// override only survives a swap or a rollback if the plugin puts it back
+const page = {
+  type: 'PAGE',
+  name: 'Page 1',
+  selection: [],
+  children: [],
+  findAllWithCriteria: () => page.children.filter((node) => node.type === 'INSTANCE')
+};
+
+function placeInstance(id, component, text) {
+  const label = { id: `${id};label`, type: 'TEXT', name: 'Label', characters: text, fontName: { family: 'Inter', style: 'Regular' } };
+  label.getRangeAllFontNames = () => [label.fontName];
+  const instance = {
+    id,
+    type: 'INSTANCE',
+    name: component.name,
+    parent: page,
+    removed: false,
+    children: [label],
+    componentProperties: {},
+    overrides: [{ id: label.id, overriddenFields: ['characters'] }],
+    findAll: () => [label],
+    getMainComponentAsync: async () => instance.mainComponent,
+    swapComponent(newComponent) {
+      instance.mainComponent = newComponent;
+      label.characters = newComponent.name;
+    },
+    setProperties() {}
+  };
+  instance.mainComponent = component;
+  label.parent = instance;
+  page.children.push(instance);
+  nodes[id] = instance;
+  return instance;
+}
+
+global.__html__ = '';
+global.figma = {
+  fileKey: 'CURRENTFILE',
+  showUI() {},
+  on() {},
+  notify() {},
+  commitUndo() {},
+  ui: { postMessage: (message) => posted.push(message) },
+  viewport: { center: { x: 0, y: 0 }, scrollAndZoomIntoView() {} },
+  currentPage: page,
+  root: {
+    name: 'Test file',
+    children: [page],
+    getPluginData: (key) => pluginData[key] || '',
+    setPluginData: (key, value) => setEntry(pluginData, key, value),
+    getPluginDataKeys: () => Object.keys(pluginData),
+    getSharedPluginData: (_namespace, key) => sharedData[key] || '',
+    setSharedPluginData: (_namespace, key, value) => setEntry(sharedData, key, value),
+    getSharedPluginDataKeys: () => Object.keys(sharedData)
+  },
+  clientStorage: {
+    getAsync: async (key) => clientStorage[key],
+    setAsync: async (key, value) => { clientStorage[key] = value; }
+  },
+  teamLibrary: { getAvailableLibraryVariableCollectionsAsync: async () => [] },
+  importComponentByKeyAsync: async (key) => {
+    if (!importable[key]) throw new Error(`Component not found: ${key}`);
+    return importable[key];
+  },
+  importComponentSetByKeyAsync: async (key) => {
+    throw new Error(`Component set not found: ${key}`);
+  },
+  getNodeByIdAsync: async (id) => nodes[id] || null,
+  loadFontAsync: async () => {},
+  loadAllPagesAsync: async () => {}
+};
+
+// The plugin logs as it works; keep the test output readable
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const core = require('../code.js');
+
+async function send(message) {
+  posted.length = 0;
+  await figma.ui.onmessage(message);
+  return posted;
+}
+
+const mapping = (oldKey, newKey, notes = '') => core.normalizeMapping({ oldKey, newKey, oldName: oldKey, newName: newKey, notes });
+
+function createStore(mappings) {
+  return { version: 2, activeSetId: 'set-1', sets: [{ id: 'set-1', name: 'Buttons', timestamp: 1, mappings }] };
+}
+
+test('saveMappings stores sets larger than one plugin data entry and loadMappings reads them back', async () => {
+  const mappings = Array.from({ length: 100 }, (_, i) => mapping(`old${i}`, `new${i}`, 'x'.repeat(2000)));
+  const saved = await send({ type: 'saveMappings', data: createStore(mappings) });
+  assert.deepEqual(saved.filter((message) => message.type === 'saveFailed'), []);
+  assert.ok(Object.keys(sharedData).length > 2, 'the set is split over several entries');
+
+  const [loaded] = (await send({ type: 'loadMappings' })).filter((message) => message.type === 'loadedMappings');
+  assert.equal(loaded.source, 'document');
+  assert.deepEqual(loaded.data.sets[0].mappings, mappings);
+
+  // Saving a smaller set again leaves no chunks of the larger one behind
+  await send({ type: 'saveMappings', data: createStore(mappings.slice(0, 2)) });
+  const [reloaded] = (await send({ type: 'loadMappings' })).filter((message) => message.type === 'loadedMappings');
+  assert.equal(reloaded.data.sets[0].mappings.length, 2);
+});
+
+test('saveMappings reports a failed write to the UI', async () => {
+  const setSharedPluginData = figma.root.setSharedPluginData;
+  figma.root.setSharedPluginData = () => { throw new Error('Document is read-only'); };
+  try {
+    const messages = await send({ type: 'saveMappings', data: createStore([mapping('a', 'b')]) });
+    const failed = messages.find((message) => message.type === 'saveFailed');
+    assert.match(failed.error, /Document is read-only/);
+  } finally {
+    figma.root.setSharedPluginData = setSharedPluginData;
+  }
+});
+
+test('reviewMappings classifies new mappings against the set and lists the issues they add', async () => {
+  const existing = [mapping('a', 'b'), mapping('b', 'c')];
+  const incoming = [mapping('a', 'x'), mapping('c', 'd'), mapping('b', 'c')];
+  const [review] = await send({ type: 'reviewMappings', existing, incoming });
+
+  assert.equal(review.type, 'mappingReview');
+  assert.deepEqual(review.rows.map((row) => row.status), ['conflict', 'new', 'duplicate']);
+  assert.ok(review.issues.some((issue) => issue.kind === 'chain' && issue.oldKeys.join() === 'b,c'));
+});
+
+test('insertComponentsByKeys learns the library of keys entered as fileKey:componentKey', async () => {
+  importable.abc = createComponent('abc', 'Button');
+  const messages = await send({ type: 'insertComponentsByKeys', keys: ['LIBFILE:abc', 'missing'] });
+
+  const result = messages.find((message) => message.type === 'componentInsertionResult');
+  assert.equal(result.insertedCount, 1);
+  assert.deepEqual(result.errors, ['Component not found or not published: missing']);
+
+  const registry = messages.filter((message) => message.type === 'libraryRegistry').pop().registry;
+  assert.equal(registry.components.abc, 'LIBFILE');
+  assert.equal(registry.libraries.LIBFILE.source, 'key');
+});
+
+test('applyMigration swaps mapped instances, keeps their text and logs the run', async () => {
+  importable.old = createComponent('old', 'Old button');
+  importable.new = createComponent('new', 'New button');
+  const first = placeInstance('1:1', importable.old, 'Sign in');
+  const other = placeInstance('1:2', createComponent('other', 'Other'), 'Cancel');
+
+  const messages = await send({ type: 'applyMigration', mappings: [mapping('old', 'new')], scope: 'page', set: null, includeNested: false });
+  const result = messages.find((message) => message.type === 'migrationResult');
+  assert.equal(result.success, true);
+  assert.equal(result.swapped, 1);
+  assert.ok(result.runId);
+
+  assert.equal(first.mainComponent.key, 'new');
+  assert.equal(first.children[0].characters, 'Sign in');
+  assert.equal(other.mainComponent.key, 'other');
+
+  const runs = messages.filter((message) => message.type === 'migrationRuns').pop().runs;
+  assert.equal(runs[0].id, result.runId);
+  assert.equal(runs[0].swapped, 1);
+});
+
+test('rollbackRun puts back the previous component and layer overrides, once', async () => {
+  const instance = nodes['1:1'];
+  const [result] = (await send({ type: 'getMigrationRuns' })).filter((message) => message.type === 'migrationRuns');
+  const runId = result.runs[0].id;
+
+  const rolledBack = (await send({ type: 'rollbackRun', runId })).find((message) => message.type === 'rollbackResult');
+  assert.deepEqual(rolledBack, { type: 'rollbackResult', success: true, restored: 1, failed: 0, incomplete: 0 });
+  assert.equal(instance.mainComponent.key, 'old');
+  assert.equal(instance.children[0].characters, 'Sign in');
+
+  const again = (await send({ type: 'rollbackRun', runId })).find((message) => message.type === 'rollbackResult');
+  assert.equal(again.success, false);
+  assert.match(again.error, /already rolled back/);
+});